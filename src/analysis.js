@@ -0,0 +1,284 @@
+"use strict";
+
+import {DistributionModel} from "./distributionModel.js";
+import {PayoutRules} from "./payoutRules.js";
+
+/**
+ * Calibration and accuracy measures across completed trials.
+ *
+ * Each trial's curve is rebuilt with DistributionModel, so the probabilities analysed are those displayed to the
+ * participant (including the distribution family and any AUC adjustment). The curve is treated as a discrete
+ * distribution over the x axis points. Outcomes between x values are snapped to the nearest x value, or
+ * interpolated between the x values either side where the trial's config sets interpolateOutcomes
+ * (see DistributionModel.atOutcome). Outcomes beyond a trial's x axis cannot be scored and are an error.
+ *
+ * Trials can be Session records (Distribution toJSON output with an answer), or plain objects
+ * {on, precision, outcome} where sd may be given instead of precision (see DistributionModel.getSD).
+ * Plain objects are drawn on an axis made from args.config and the trial's own config property, if any.
+ *
+ * Results are plain data: per-trial measures in analysis.trials and totals in analysis.summary.
+ * drawPIT and drawCoverage chart the results on a canvas.
+ */
+class Analysis {
+    /**
+     * @constructor
+     *
+     * @param trials {{}[]} - completed trials
+     * @param [args = {}] {{}}
+     * @param [args.config = {}] {{}} - DistributionModel constructor arguments for plain trial objects
+     * @param [args.objects = {}] {{}} - custom payout rule, family or scale objects used by Session records, as
+     * DistributionModel constructor arguments (see DistributionModel.fromJSON)
+     * @param [args.levels = [.5, .8, .95]] {number[]} - central interval coverage levels
+     * @param [args.bins = 10] {int} - number of bins in the PIT histogram
+     *
+     * @return {Analysis}
+     */
+    constructor(trials, args = {}) {
+        this.config = typeof args.config === "undefined"? {} : args.config;
+        this.objects = typeof args.objects === "undefined"? {} : args.objects;
+        this.levels = typeof args.levels === "undefined"? [.5, .8, .95] : args.levels;
+        this.bins = typeof args.bins === "undefined"? 10 : args.bins;
+
+        this.trials = trials.map((t, i)=>this.analyseTrial(t, i));
+
+        return this;
+    }
+
+    /**
+     * Rebuild the model for a trial with its bet placed
+     * @param trial {{}} Session record or plain trial object
+     * @return {DistributionModel}
+     */
+    model(trial) {
+        if(typeof trial.version !== "undefined")
+            return DistributionModel.fromJSON(trial, this.objects);
+        let model = new DistributionModel(Object.assign({}, this.config, trial.config));
+        let precision = trial.precision;
+        if(typeof precision === "undefined")
+            precision = model.family.peakDensity * model.scale / trial.sd; // inverse of getSD
+        return model.setBet({on: trial.on, precision});
+    }
+
+    /**
+     * Calculate the measures for one trial
+     * @param trial {{}} Session record or plain trial object
+     * @param index {int} position of the trial in the input
+     * @return {{trial: int, outcome: number, mode: number, mean: number, sd: number, pit: number,
+     * intervals: {}, covered: {}, scores: {}}}
+     */
+    analyseTrial(trial, index) {
+        let model = this.model(trial);
+        let outcome = typeof trial.answer !== "undefined"? trial.answer : trial.outcome;
+        if(typeof outcome !== "number")
+            throw new Error('Trial ' + index + ' has no outcome');
+        if(isNaN(model.fractionalIndex(outcome)))
+            throw new Error('Trial ' + index + ' has an outcome beyond its x axis');
+        let outcomeValue = model.interpolateOutcomes? outcome : model.x[model.nearestIndex(outcome)];
+
+        // discrete distribution in ascending order of x
+        let p = model.probabilities;
+        let order = model.x.map((x, i)=>i).sort((a, b)=>model.x[a] - model.x[b]);
+        let x = order.map((i)=>model.x[i]);
+        let prob = order.map((i)=>p[i]);
+        let cdf = [];
+        prob.reduce((total, q, i)=>cdf[i] = total + q, 0);
+        let position = [];
+        order.forEach((i, k)=>position[i] = k);
+
+        let mode = 0;
+        let mean = 0;
+        for(let i = 0; i < x.length; i++) {
+            if(prob[i] > prob[mode])
+                mode = i;
+            mean += x[i] * prob[i];
+        }
+        let variance = 0;
+        for(let i = 0; i < x.length; i++)
+            variance += prob[i] * Math.pow(x[i] - mean, 2);
+
+        // randomised PIT is replaced by the mid-point of the outcome's step in the CDF
+        let pit = model.atOutcome(outcome, (i)=>cdf[position[i]] - p[i] / 2);
+
+        const quantile = (q)=>{
+            for(let i = 0; i < cdf.length; i++)
+                if(cdf[i] >= q)
+                    return x[i];
+            return x[x.length - 1];
+        };
+        let intervals = {};
+        let covered = {};
+        this.levels.forEach((level)=>{
+            intervals[level] = [quantile((1 - level) / 2), quantile((1 + level) / 2)];
+            covered[level] = outcomeValue >= intervals[level][0] && outcomeValue <= intervals[level][1];
+        });
+
+        let scores = {};
+        PayoutRules.names.forEach((name)=>
+            scores[name] = model.atOutcome(outcome, (i)=>PayoutRules.get(name).score(model, i)));
+
+        return {
+            trial: typeof trial.trial === "undefined"? index + 1 : trial.trial,
+            outcome,
+            mode: x[mode],
+            mean,
+            sd: Math.sqrt(variance),
+            pit,
+            intervals,
+            covered,
+            scores
+        };
+    }
+
+    /**
+     * Mean of a measure over trials
+     * @param fn {function} returns the measure for a trial result
+     * @return {number} NaN if there are no trials
+     */
+    mean(fn) {
+        let total = 0;
+        this.trials.forEach((t)=>total += fn(t));
+        return total / this.trials.length;
+    }
+
+    /**
+     * Proportion of outcomes falling within the central interval at each level
+     * @return {{}} level: proportion
+     */
+    get coverage() {
+        let out = {};
+        this.levels.forEach((level)=>out[level] = this.mean((t)=>t.covered[level]? 1 : 0));
+        return out;
+    }
+
+    /**
+     * Counts of PIT values in equal-width bins over [0, 1]. A calibrated forecaster has a flat histogram.
+     * @return {int[]}
+     */
+    get pitHistogram() {
+        let counts = [];
+        for(let i = 0; i < this.bins; i++)
+            counts[i] = 0;
+        this.trials.forEach((t)=>counts[Math.min(this.bins - 1, Math.floor(t.pit * this.bins))]++);
+        return counts;
+    }
+
+    /**
+     * Summary of all trials:
+     * * n - number of trials
+     * * coverage - proportion of outcomes within each central interval
+     * * meanIntervalWidth - mean width of each central interval
+     * * pit - PIT values and histogram counts
+     * * maeMode - mean absolute error of the mode
+     * * sharpness - mean standard deviation of the forecasts (smaller is sharper)
+     * * meanScores - mean score under each of PayoutRules.names
+     * @return {{n: int, coverage: {}, meanIntervalWidth: {}, pit: {values: number[], histogram: int[]},
+     * maeMode: number, sharpness: number, meanScores: {}}}
+     */
+    get summary() {
+        let meanIntervalWidth = {};
+        this.levels.forEach((level)=>
+            meanIntervalWidth[level] = this.mean((t)=>t.intervals[level][1] - t.intervals[level][0]));
+        let meanScores = {};
+        PayoutRules.names.forEach((name)=>meanScores[name] = this.mean((t)=>t.scores[name]));
+        return {
+            n: this.trials.length,
+            coverage: this.coverage,
+            meanIntervalWidth,
+            pit: {
+                values: this.trials.map((t)=>t.pit),
+                histogram: this.pitHistogram
+            },
+            maeMode: this.mean((t)=>Math.abs(t.mode - t.outcome)),
+            sharpness: this.mean((t)=>t.sd),
+            meanScores
+        };
+    }
+
+    /**
+     * Default chart style
+     * @return {{}}
+     */
+    static get defaultStyle() {
+        return {
+            padding: 30,
+            barFill: 'lightblue',
+            barStroke: 'black',
+            referenceStroke: 'red',
+            font: '12px sans-serif',
+            textColor: 'black'
+        };
+    }
+
+    /**
+     * Draw axes and bars for a chart
+     * @param canvas {HTMLCanvasElement}
+     * @param values {number[]} bar heights
+     * @param labels {string[]} bar labels
+     * @param max {number} value at the top of the chart
+     * @param reference {number[]} height of a reference line over each bar
+     * @param style {{}}
+     */
+    static drawBars(canvas, values, labels, max, reference, style) {
+        style = Object.assign(Analysis.defaultStyle, style);
+        let ctx = canvas.getContext('2d');
+        let width = canvas.clientWidth - 2 * style.padding;
+        let height = canvas.clientHeight - 2 * style.padding;
+        let bottom = style.padding + height;
+        let barWidth = width / values.length;
+        const y = (v)=>bottom - height * (max > 0? v / max : 0);
+
+        ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+        ctx.font = style.font;
+        ctx.textAlign = 'center';
+        values.forEach((v, i)=>{
+            let left = style.padding + i * barWidth;
+            ctx.beginPath();
+            ctx.fillStyle = style.barFill;
+            ctx.strokeStyle = style.barStroke;
+            ctx.lineWidth = 1;
+            ctx.rect(left, y(v), barWidth, bottom - y(v));
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.strokeStyle = style.referenceStroke;
+            ctx.lineWidth = 2;
+            ctx.moveTo(left, y(reference[i]));
+            ctx.lineTo(left + barWidth, y(reference[i]));
+            ctx.stroke();
+
+            ctx.fillStyle = style.textColor;
+            ctx.fillText(labels[i], left + barWidth / 2, bottom + style.padding / 2);
+        });
+    }
+
+    /**
+     * Draw the PIT histogram, with the count expected of a calibrated forecaster as a reference line
+     * @param canvas {HTMLCanvasElement}
+     * @param [style = {}] {{}} options to override Analysis.defaultStyle
+     * @return {Analysis} self for chaining
+     */
+    drawPIT(canvas, style = {}) {
+        let counts = this.pitHistogram;
+        let expected = this.trials.length / this.bins;
+        let labels = counts.map((c, i)=>(i / this.bins).toFixed(1));
+        Analysis.drawBars(canvas, counts, labels, Math.max(expected, Math.max(...counts)),
+            counts.map(()=>expected), style);
+        return this;
+    }
+
+    /**
+     * Draw the observed coverage of each central interval, with the nominal level as a reference line
+     * @param canvas {HTMLCanvasElement}
+     * @param [style = {}] {{}} options to override Analysis.defaultStyle
+     * @return {Analysis} self for chaining
+     */
+    drawCoverage(canvas, style = {}) {
+        let coverage = this.coverage;
+        Analysis.drawBars(canvas, this.levels.map((level)=>coverage[level]),
+            this.levels.map((level)=>Math.round(level * 100) + '%'), 1, this.levels, style);
+        return this;
+    }
+}
+
+export {Analysis};
@@ -0,0 +1,262 @@
+"use strict";
+
+/**
+ * DataSink sends trial records to a server as they are made.
+ *
+ * Records are first added to a queue kept in localStorage, then sent in order. If the storage cannot be used
+ * (e.g. it is full or blocked by the browser) the queue moves to memory, so recording carries on but the queue no
+ * longer outlives the page. Records which fail to send stay
+ * queued and are retried after retryInterval, on the next send or flush, or when the page is next loaded with a
+ * DataSink using the same storageKey. When the page is hidden or closed, anything still queued is sent with
+ * navigator.sendBeacon.
+ *
+ * Each record is sent as JSON: {id, record}, where id identifies the record so the server can discard duplicates
+ * (a record may be sent twice if a response is lost).
+ *
+ * Transports:
+ * * 'fetch' - POST to url
+ * * 'beacon' - navigator.sendBeacon to url
+ * * 'memory' - keep sent items in sink.received, for testing without a server
+ * * a function(body, item) returning a Promise which resolves if the item was received and rejects otherwise
+ */
+class DataSink {
+    /**
+     * @constructor
+     *
+     * @param [args = {}] {{}}
+     * @param [args.transport = 'fetch'] {string|function} - 'fetch', 'beacon', 'memory' or a function (see above)
+     * @param [args.url = null] {string|null} - collection endpoint for the fetch and beacon transports
+     * @param [args.headers = {}] {{}} - extra headers for the fetch transport
+     * @param [args.storage = localStorage] {Storage} - where the queue is kept. Defaults to an in-memory
+     * stand-in (DataSink.memoryStorage) where localStorage is not available, and falls back to one if the storage
+     * throws.
+     * @param [args.storageKey = 'confidence-distribution-queue'] {string} - key under which the queue is kept
+     * @param [args.retryInterval = 5000] {number} - ms to wait before retrying after a failure
+     * @param [args.sendOnUnload = true] {boolean} - whether to send queued items with sendBeacon when the page
+     * is hidden or closed
+     *
+     * @param [args.callback = {}] {{}} - callbacks
+     * @param [args.callback.onSent = null] {function} - called with (item) when an item has been received
+     * @param [args.callback.onError = null] {function} - called with (error, item) when sending an item fails
+     *
+     * @return {DataSink}
+     */
+    constructor(args = {}) {
+        this.transport = typeof args.transport === "undefined"? 'fetch' : args.transport;
+        this.url = typeof args.url === "undefined"? null : args.url;
+        this.headers = typeof args.headers === "undefined"? {} : args.headers;
+        this.storage = typeof args.storage !== "undefined"? args.storage : DataSink.defaultStorage();
+        this.storageKey = typeof args.storageKey === "undefined"? 'confidence-distribution-queue' : args.storageKey;
+        this.retryInterval = typeof args.retryInterval === "undefined"? 5000 : args.retryInterval;
+        this.sendOnUnload = typeof args.sendOnUnload === "undefined"? true : args.sendOnUnload;
+
+        this.callback = {onSent: null, onError: null};
+        if(typeof args.callback !== "undefined")
+            Object.keys(args.callback).forEach((k)=>this.callback[k] = args.callback[k]);
+
+        if(typeof this.transport !== "function" && ['fetch', 'beacon', 'memory'].indexOf(this.transport) === -1)
+            throw new Error('Unknown transport "' + this.transport + '"; expected fetch, beacon, memory or a function');
+        if((this.transport === 'fetch' || this.transport === 'beacon') && this.url === null)
+            throw new Error('The ' + this.transport + ' transport requires a url');
+
+        this.received = []; // items sent with the memory transport
+        this.sending = null; // Promise for the flush in progress
+
+        if(this.sendOnUnload && typeof window !== "undefined")
+            this.attachUnload();
+
+        return this;
+    }
+
+    /**
+     * A minimal in-memory stand-in for localStorage
+     * @return {{getItem: function, setItem: function, removeItem: function}}
+     */
+    static memoryStorage() {
+        let items = {};
+        return {
+            getItem: (k)=>typeof items[k] === "undefined"? null : items[k],
+            setItem: (k, v)=>items[k] = String(v),
+            removeItem: (k)=>delete items[k]
+        };
+    }
+
+    /**
+     * localStorage, or an in-memory stand-in where it is not available. Merely reading localStorage throws a
+     * SecurityError in some sandboxed frames and privacy modes.
+     * @return {Storage|{getItem: function, setItem: function, removeItem: function}}
+     */
+    static defaultStorage() {
+        try {
+            if(typeof localStorage !== "undefined" && localStorage !== null)
+                return localStorage;
+        } catch(e) {
+            // fall through to memory
+        }
+        return DataSink.memoryStorage();
+    }
+
+    /**
+     * Items waiting to be sent, oldest first
+     * @return {{id: string, record: {}}[]}
+     */
+    get queue() {
+        let queue;
+        try {
+            queue = JSON.parse(this.storage.getItem(this.storageKey));
+        } catch(e) {
+            this.storage = DataSink.memoryStorage();
+            return [];
+        }
+        return Array.isArray(queue)? queue : [];
+    }
+
+    set queue(queue) {
+        try {
+            if(queue.length)
+                this.storage.setItem(this.storageKey, JSON.stringify(queue));
+            else
+                this.storage.removeItem(this.storageKey);
+        } catch(e) {
+            // e.g. QuotaExceededError: keep the queue in memory rather than losing records or throwing
+            this.storage = DataSink.memoryStorage();
+            if(queue.length)
+                this.storage.setItem(this.storageKey, JSON.stringify(queue));
+        }
+    }
+
+    /**
+     * Identifier for a record: session seed, trial number and onset time
+     * @param record {{}}
+     * @return {string}
+     */
+    static recordId(record) {
+        let start = typeof record.time === "object" && record.time !== null? record.time.start : '';
+        return [record.seed, record.trial, start].join('-');
+    }
+
+    /**
+     * Queue a record and try to send everything queued
+     * @param record {{}} trial record, e.g. from Session
+     * @return {Promise} resolves when the queue has been sent or a send has failed
+     */
+    send(record) {
+        let queue = this.queue;
+        queue.push({id: DataSink.recordId(record), record});
+        this.queue = queue;
+        return this.flush();
+    }
+
+    /**
+     * Send queued items in order, stopping at the first failure and scheduling a retry
+     * @return {Promise} resolves when the queue has been sent or a send has failed
+     */
+    flush() {
+        if(this.sending !== null)
+            return this.sending.then(()=>this.flush());
+        clearTimeout(this.retryTimeout);
+        const next = ()=>{
+            let queue = this.queue;
+            if(!queue.length)
+                return Promise.resolve();
+            let item = queue[0];
+            return this.deliver(item)
+                .then(()=>{
+                    // remove by id in case the queue changed while sending
+                    this.queue = this.queue.filter((i)=>i.id !== item.id);
+                    if(typeof this.callback.onSent === "function")
+                        this.callback.onSent(item);
+                    return next();
+                });
+        };
+        this.sending = next()
+            .catch((e)=>{
+                if(typeof this.callback.onError === "function")
+                    this.callback.onError(e, this.queue[0]);
+                this.retryTimeout = setTimeout(()=>this.flush(), this.retryInterval);
+            })
+            .then(()=>{
+                this.sending = null;
+            });
+        return this.sending;
+    }
+
+    /**
+     * Send one item with the transport
+     * @param item {{id: string, record: {}}}
+     * @return {Promise} resolves if the item was received
+     */
+    deliver(item) {
+        let body = JSON.stringify(item);
+        if(typeof this.transport === "function")
+            return Promise.resolve().then(()=>this.transport(body, item));
+        if(this.transport === 'memory') {
+            this.received.push(JSON.parse(body));
+            return Promise.resolve();
+        }
+        if(this.transport === 'beacon')
+            return this.beacon(body)? Promise.resolve() : Promise.reject(new Error('sendBeacon refused the data'));
+        return fetch(this.url, {
+            method: 'POST',
+            headers: Object.assign({'Content-Type': 'application/json'}, this.headers),
+            body,
+            keepalive: true
+        }).then((response)=>{
+            if(!response.ok)
+                throw new Error('Server responded ' + response.status);
+        });
+    }
+
+    /**
+     * Send text with navigator.sendBeacon
+     * @param body {string}
+     * @return {boolean} whether the browser accepted the data for sending
+     */
+    beacon(body) {
+        if(typeof navigator === "undefined" || typeof navigator.sendBeacon !== "function" || this.url === null)
+            return false;
+        return navigator.sendBeacon(this.url, new Blob([body], {type: 'application/json'}));
+    }
+
+    /**
+     * Hand everything queued to sendBeacon, which keeps sending after the page closes.
+     * Items the browser accepts are removed from the queue. With the memory or a custom transport the queue is
+     * left for the next page load.
+     * @return {DataSink} self for chaining
+     */
+    flushWithBeacon() {
+        if(typeof this.transport === "function" || this.transport === 'memory')
+            return this;
+        this.queue = this.queue.filter((item)=>!this.beacon(JSON.stringify(item)));
+        return this;
+    }
+
+    /**
+     * Send queued items with sendBeacon when the page is hidden or closed
+     * @return {DataSink} self for chaining
+     */
+    attachUnload() {
+        this.onUnload = (event)=>{
+            if(event.type === 'pagehide' || document.visibilityState === 'hidden')
+                this.flushWithBeacon();
+        };
+        window.addEventListener('pagehide', this.onUnload);
+        document.addEventListener('visibilitychange', this.onUnload);
+        return this;
+    }
+
+    /**
+     * Stop sending on unload and cancel any scheduled retry
+     * @return {DataSink} self for chaining
+     */
+    detach() {
+        clearTimeout(this.retryTimeout);
+        if(typeof this.onUnload === "function") {
+            window.removeEventListener('pagehide', this.onUnload);
+            document.removeEventListener('visibilitychange', this.onUnload);
+        }
+        return this;
+    }
+}
+
+export {DataSink};
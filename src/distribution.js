@@ -1,16 +1,21 @@
 "use strict";
 
-// TODO: allow horizontally truncated distributions (i.e. cap minimum values at 0 to begin with)
+import {DistributionModel} from "./distributionModel.js";
+import {utils} from "./utils.js";
+import {Renderers} from "./renderers.js";
+
 // TODO: yInt adjustment?
 // TODO: widget label style options
 
-class Distribution {
+class Distribution extends DistributionModel {
     /**
      * @constructor
      *
-     * Distribution allows the generation of probability distributions (using the normal distribution)
-     * on the basis of a specified (x,y) coordinate giving the probability density at the mean
-     * (the distribution is symmetrical).
+     * Distribution is a canvas view on top of a DistributionModel.
+     *
+     * Distribution allows the generation of probability distributions (using the normal distribution
+     * unless another family is specified) on the basis of a specified (x,y) coordinate giving the
+     * probability density at the mode.
      *
      * The distributions allow for a form of spread betting on a range of possible answers. The range of
      * widths (standard deviations) allowed can be specified using min/maxPrecision, and the distribution
@@ -21,26 +26,26 @@ class Distribution {
      *
      * Probability distributions are draw to the supplied canvas object.
      *
-     * Various styling options are available through the style object.
+     * Various styling options are available through the style object. style.renderer chooses how the curve is
+     * drawn: as bars, a smooth area, an outline, or an area shaded by the sign of the payout (see Renderers).
      *
-     * @param args {{}}
-     * @param args.canvas {HTMLElement} - canvas on which to draw the distribution
-     * @param [args.xMin = 0] {number} - x axis minimum
-     * @param [args.xMax = 100] {number} - x axis maximum
-     * @param [args.xPoints = (xMax-xMin)] - number of points on the x axis
-     * @param [args.reverseX = false] {boolean} - whether to reverse x axis labels
-     * @param [args.minPrecision = .0] {number} - minimum distribution precision (between 0 and 1)
-     * @param [args.maxPrecision = 1.0] {number} - maximum distribution precision (between 0 and 1)
-     * @param [args.minBet = .0] {number} - minimum bet amount allowed. Assigned to minPrecision.
-     * @param [args.maxBet = 1.0] {number} - maximum bet allowed. Assigned to maxPrecision.
-     * @param [args.minPayout = -Infinity] {number} - minimum payout on any round.
-     * @param [args.maxPayout = Infinity] {number} - maximum payout on any round.
-     * @param [args.scaleFactor = 10] {number} - factor by which to scale the curve width
+     * In mixture mode (args.mode = 'mixture'), clicking away from the widgets adds a component (up to
+     * args.maxComponents), dragging a widget moves its component, scrolling over a widget changes the
+     * component's weight, and double-clicking a widget removes its component.
      *
-     * @param [args.constantAUC = true] {boolean} - whether to increase inbounds values where parts of
-     * the distribution are outside of the limits of the x axis.
+     * In interval mode (args.mode = 'interval'), the first click and drag marks out an interval on the x axis, and
+     * clicking near either end of the interval drags that end. The curve which fits the interval is drawn with the
+     * interval shaded.
      *
+     * Model options (xMin, xMax, precision and betting limits, etc.) are described in DistributionModel.
+     *
+     * @param args {{}}
+     * @param [args.canvas = null] {HTMLElement} - canvas on which to draw the distribution.
+     * Leave null to use the Distribution without drawing.
      * @param [args.hoverDisplay = false] {boolean} - whether to show the payout display on hover
+     * @param [args.units = ''] {string} - appended to x values in labels, e.g. '%' or ' km'
+     * @param [args.responsive = false] {boolean} - whether the canvas is resized to fill the width of its
+     * container, keeping its aspect ratio. The canvas is drawn at the device pixel ratio whatever its size.
      *
      * @param [args.style = {}] {{}} - styling options. Default to Distribution.defaultStyle.
      *
@@ -53,20 +58,13 @@ class Distribution {
      * @return {Distribution}
      */
     constructor(args, startEnabled = true) {
+        super(args);
+
         let canvas = typeof args.canvas === "undefined"? null : args.canvas;
-        this.xMin = typeof args.xMin === "undefined"? 0 : args.xMin;
-        this.xMax = typeof args.xMax === "undefined"? 100 : args.xMax;
-        this.xPoints = typeof args.xPoints === "undefined"? this.xMax - this.xMin : args.xPoints;
-        this.reverseX = typeof args.reverseX === "undefined"? false : args.reverseX;
-        this.minPrecision = typeof args.minPrecision === "undefined"? .10 : args.minPrecision;
-        this.maxPrecision = typeof args.maxPrecision === "undefined"? .9 : args.maxPrecision;
-        this.minBet = typeof args.minBet === "undefined"? .10 : args.minBet;
-        this.maxBet = typeof args.maxBet === "undefined"? .90 : args.maxBet;
-        this.minPayout = typeof args.minPayout === "undefined"? -Infinity : args.minPayout;
-        this.maxPayout = typeof args.maxPayout === "undefined"? Infinity : args.maxPayout;
-        this.scaleFactor = typeof args.scaleFactor === "undefined"? 10 : args.scaleFactor;
 
         this.hoverDisplay = typeof args.hoverDisplay === "undefined"? false : args.hoverDisplay;
+        this.units = typeof args.units === "undefined"? '' : args.units;
+        this.responsive = typeof args.responsive === "undefined"? false : args.responsive;
 
         this.startEnabled = startEnabled;
 
@@ -74,58 +72,17 @@ class Distribution {
         if(typeof args.callback !== "undefined")
             Object.keys(args.callback).forEach((k)=>this.callback[k] = args.callback[k]);
 
-        this.registerCanvas(canvas);
+        if(canvas !== null)
+            this.registerCanvas(canvas);
+        else
+            this.canvas = null;
 
-        // cartesian coordinates
-        this.x = [];
-        let step = (this.xMax - this.xMin) / this.xPoints;
-        for(let i = 0; i <= this.xMax - this.xMin; i++)
-            this.x[i] = this.xMin + step * i;
-        if(this.reverseX) {
-            this.x = this.x.reverse();
-        }
         this.y = [];
 
-        this.precisionRaw = [];
-        this.precision = [];
-
-        // betting coordinates
-        this.bet = {
-            y: 0, // y coordinate
-            precision: 0, // precision of the bet
-            amount: this.minBet, // y in bet space
-            on: this.xMin + (this.xMax - this.xMin),
-            won: 0.0
-        };
-
         this.style = Distribution.defaultStyle;
         if(typeof args.style !== "undefined")
             Object.keys(args.style).forEach((k)=>this.style[k] = args.style[k]);
-
-        this.constantAUC = typeof args.constantAUC === "undefined"? true : args.constantAUC;
-
-        if(this.style.precisionPadding === 'auto') {
-            // by default precision padding means the top of the curve is visible when AUC adjusted at extremes
-            this.style.precisionPadding = this.maxPossiblePrecision - this.maxPrecision;
-        }
-        this.style.precisionPadding += this.style.precisionMargin;
-
-        if(this.constantAUC)
-            this.adjustedLimits = {
-                low: this.adjustForAUC(this.minPrecision),
-                high: this.adjustForAUC(this.maxPrecision)
-            };
-        else
-            this.adjustedLimits = {
-                low: null,
-                high: null
-            };
-
-        // timing of key events
-        this.time = {
-            bet: -1,
-            start: new Date().getTime()
-        };
+        Renderers.get(this.style.renderer); // fail early on unknown renderers
 
         if(typeof this.callback.onFinishLoading === "function")
             this.callback.onFinishLoading();
@@ -145,6 +102,12 @@ class Distribution {
             widgetSize: 5,
             showWidgetLabel: true,
 
+            intervalFill: 'rgba(0, 0, 255, .15)',
+            intervalStroke: 'blue',
+
+            binStroke: 'grey',
+            binFont: '12px Arial',
+
             axisStrokeStyleX: 'black',
             axisLineWidthX: 2,
             axisTicksX: 10,
@@ -167,6 +130,9 @@ class Distribution {
 
             backgroundColor: 'white',
 
+            renderer: 'bars',
+            curveStroke: 'steelblue',
+            curveLineWidth: 2,
             rectangleFill: 'lightblue',
             rectangleFillLow: 'red',
             rectangleHighlight: 'lightgreen',
@@ -198,44 +164,215 @@ class Distribution {
     }
 
     /**
-     * Performs mutual registration between a canvas and the Distribution
+     * Serialise the Distribution: the model's config, bet, timings and trajectory plus display options and style.
+     * Callbacks and the canvas are not included. The renderer is stored by its registered name, or as a
+     * placeholder if it is a custom object (see DistributionModel.serialisedOption).
+     * @return {{version: int, config: {}, style: {}, bet: {}|null, time: {}, trajectory: {}[], metrics: {}}}
+     */
+    toJSON() {
+        let json = super.toJSON();
+        json.config.hoverDisplay = this.hoverDisplay;
+        json.config.units = this.units;
+        json.config.responsive = this.responsive;
+        json.style = {};
+        Object.keys(this.style).forEach((k)=>json.style[k] = this.style[k]);
+        json.style.renderer = DistributionModel.serialisedOption(this.style.renderer, Renderers.names);
+        return json;
+    }
+
+    /**
+     * Create a Distribution from the output of toJSON
+     * @param json {{}|string} serialised Distribution
+     * @param [args = {}] {{}} constructor arguments to add or override, e.g. canvas and callback. args.style is
+     * merged into the stored style. Custom payout rule, family, scale and renderer objects must be given again here.
+     * @param [startEnabled = true] {boolean} whether to begin with the canvas clickable
+     * @return {Distribution}
+     * @throws {Error} if a custom object stored as a placeholder is not given in args
+     */
+    static fromJSON(json, args = {}, startEnabled = true) {
+        json = DistributionModel.parseJSON(json);
+        let config = Object.assign({}, json.config, args);
+        config.style = Object.assign({}, json.style, args.style);
+        DistributionModel.checkCustomOptions(config);
+        DistributionModel.checkCustomOptions(config.style);
+        return new Distribution(config, startEnabled).restoreState(json);
+    }
+
+    /**
+     * Change options in place and start a fresh response, e.g. to give each trial its own axis.
+     * See DistributionModel.reconfigure. Display options (hoverDisplay, units, responsive, style) can be changed too;
+     * style options not given keep their current values.
+     * @param [args = {}] {{}} options to change
+     * @param [startEnabled = true] {boolean} - whether the canvas accepts input afterwards
+     * @return {Distribution} self for chaining
+     */
+    reconfigure(args = {}, startEnabled = true) {
+        this.cancelAnimation();
+        super.reconfigure(args);
+        if(typeof args.hoverDisplay !== "undefined")
+            this.hoverDisplay = args.hoverDisplay;
+        if(typeof args.units !== "undefined")
+            this.units = args.units;
+        if(typeof args.responsive !== "undefined")
+            this.responsive = args.responsive;
+        if(typeof args.style !== "undefined")
+            Object.keys(args.style).forEach((k)=>this.style[k] = args.style[k]);
+        Renderers.get(this.style.renderer);
+        this.y = [];
+        this.startEnabled = startEnabled;
+
+        if(this.canvas !== null) {
+            if(this.responsive)
+                this.fitToContainer();
+            this.cancelRedraw().invalidateLayout();
+            // listeners depend on mode, so register them afresh
+            this.canvas.registerClickMouse(false);
+            this.canvas.registerHoverTrackMouse(false);
+            if(startEnabled) {
+                this.canvas.registerClickMouse(true);
+                this.canvas.registerHoverTrackMouse(this.hoverDisplay);
+            }
+            this.clearCanvas().drawAxisX();
+            if(typeof this.liveRegion !== "undefined")
+                this.liveRegion.textContent = '';
+        }
+
+        return this;
+    }
+
+    /**
+     * Performs mutual registration between a canvas and the Distribution.
+     * The canvas is made focusable and keyboard operable (see updateFromKeyboard).
+     * Input uses Pointer Events so mouse, pen and touch all work. The pointer is captured while a response
+     * is being dragged, so moving outside the canvas does not end the response, and touch scrolling and
+     * pinch-zooming are blocked on the canvas while input is enabled.
+     * Any Distribution previously registered with the canvas has its listeners removed.
      * @param canvas {HTMLCanvasElement} canvas element
      * @return {Distribution} self for chaining
      */
     registerCanvas(canvas) {
+        if(typeof canvas.releaseDistribution === "function")
+            canvas.releaseDistribution();
+
         this.canvas = canvas;
         this.canvas.distribution = this;
+        if(typeof this.canvas.aspectRatio === "undefined")
+            this.canvas.aspectRatio = this.canvas.height / this.canvas.width; // from the width and height attributes
+        this.invalidateLayout();
         this.canvas.drawToCanvas = function(event) {
+            if(event.isPrimary === false)
+                return;
             this.distribution.drawToCanvas(event);
         };
         this.canvas.updateHoverDisplay = function(event) {
             this.distribution.updateHoverDisplay(event);
         };
         this.canvas.clickMouse = function(clickEvent) {
+            if(clickEvent.isPrimary === false)
+                return; // ignore extra fingers
+            if(typeof clickEvent.pointerId !== "undefined")
+                this.setPointerCapture(clickEvent.pointerId);
+            if(this.distribution.mode === 'mixture')
+                this.distribution.selectComponentAt(clickEvent);
+            if(this.distribution.mode === 'interval')
+                this.distribution.selectHandleAt(clickEvent);
             this.registerTrackMouse();
             this.drawToCanvas(clickEvent)
         };
+        this.canvas.endTrackMouse = function(event) {
+            if(typeof event.pointerId !== "undefined" && this.hasPointerCapture(event.pointerId))
+                this.releasePointerCapture(event.pointerId);
+            this.registerTrackMouse(false);
+            this.distribution.announce();
+        };
+        this.canvas.pressKey = function(keyEvent) {
+            if(this.distribution.updateFromKeyboard(keyEvent))
+                keyEvent.preventDefault();
+        };
+        this.canvas.removeComponent = function(event) {
+            this.distribution.removeComponentAt(event);
+        };
+        this.canvas.weighComponent = function(wheelEvent) {
+            wheelEvent.preventDefault();
+            this.distribution.weighComponentAt(wheelEvent);
+        };
         this.canvas.registerTrackMouse = function(enable = true) {
             if(enable)
-                this.addEventListener('mousemove', this.drawToCanvas);
+                this.addEventListener('pointermove', this.drawToCanvas);
             else
-                this.removeEventListener('mousemove', this.drawToCanvas);
+                this.removeEventListener('pointermove', this.drawToCanvas);
         };
         this.canvas.registerClickMouse = function(enable = true) {
-            if(enable)
-                this.addEventListener('mousedown', this.clickMouse);
-            else
-                this.removeEventListener('mousedown', this.clickMouse);
+            let mixture = this.distribution.mode === 'mixture';
+            if(enable) {
+                this.addEventListener('pointerdown', this.clickMouse);
+                this.addEventListener('keydown', this.pressKey);
+                if(mixture) {
+                    this.addEventListener('dblclick', this.removeComponent);
+                    this.addEventListener('wheel', this.weighComponent, {passive: false});
+                }
+                this.style.touchAction = 'none';
+            } else {
+                this.removeEventListener('pointerdown', this.clickMouse);
+                this.removeEventListener('keydown', this.pressKey);
+                this.removeEventListener('dblclick', this.removeComponent);
+                this.removeEventListener('wheel', this.weighComponent);
+                this.registerTrackMouse(false);
+                this.style.touchAction = '';
+            }
         };
         this.canvas.registerHoverTrackMouse = function(enable = true) {
             if(enable)
-                this.addEventListener('mousemove', this.updateHoverDisplay);
+                this.addEventListener('pointermove', this.updateHoverDisplay);
             else
-                this.removeEventListener('mousemove', this.updateHoverDisplay);
+                this.removeEventListener('pointermove', this.updateHoverDisplay);
+        };
+        // the layout is kept between draws, so it is measured again when the canvas or its container changes size.
+        // ResizeObserver also reports the size when observing begins, which must not wipe anything already drawn.
+        this.canvas.onResize = function() {
+            if(this.distribution.responsive)
+                this.distribution.fitToContainer();
+            if(this.distribution.resized)
+                this.distribution.relayout();
+        }.bind(this.canvas);
+        this.canvas.registerResize = function(enable = true) {
+            if(typeof ResizeObserver === "function") {
+                if(enable) {
+                    this.resizeObserver = new ResizeObserver(this.onResize);
+                    this.resizeObserver.observe(this);
+                    if(this.parentElement !== null)
+                        this.resizeObserver.observe(this.parentElement);
+                } else if(typeof this.resizeObserver !== "undefined")
+                    this.resizeObserver.disconnect();
+            } else if(typeof window !== "undefined") {
+                if(enable)
+                    window.addEventListener('resize', this.onResize);
+                else
+                    window.removeEventListener('resize', this.onResize);
+            }
+        };
+        this.canvas.releaseDistribution = function() {
+            this.distribution.cancelRedraw().cancelAnimation();
+            this.registerResize(false);
+            this.registerClickMouse(false);
+            this.registerHoverTrackMouse(false);
+            this.removeEventListener('pointerup', this.endTrackMouse);
+            this.removeEventListener('pointercancel', this.endTrackMouse);
         };
 
-        this.canvas.addEventListener('mouseup', ()=>this.canvas.registerTrackMouse(false));
-        this.canvas.addEventListener('mouseout', ()=>this.canvas.registerTrackMouse(false));
+        this.canvas.addEventListener('pointerup', this.canvas.endTrackMouse);
+        this.canvas.addEventListener('pointercancel', this.canvas.endTrackMouse);
+        this.canvas.registerResize(true);
+        if(this.responsive)
+            this.fitToContainer();
+
+        // keyboard access
+        if(this.canvas.tabIndex < 0)
+            this.canvas.tabIndex = 0;
+        this.canvas.setAttribute('role', 'application');
+        this.canvas.setAttribute('aria-roledescription', 'confidence distribution');
+        this.canvas.setAttribute('aria-label', 'Use the left and right arrow keys to choose an answer and ' +
+            'the up and down arrow keys to choose your confidence. Hold shift for bigger steps.');
 
         if(this.startEnabled) {
             this.canvas.registerClickMouse(true);
@@ -249,153 +386,148 @@ class Distribution {
     }
 
     /**
-     * Avoids numerous recalculations of a square root
-     * @return {number} - Math.sqrt(2 * Math.PI)
+     * Positions and sizes used for drawing: pixelsPerPoint, gutter and panel, and the canvas size they were
+     * measured at.
+     * These are measured once and kept until invalidateLayout is called, which happens when the canvas is resized
+     * or the Distribution is reconfigured.
+     * @return {{pixelsPerPoint: {x: number, y: number}, gutter: {x: number, y: number}, panel: {},
+     * size: {width: number, height: number}}}
      */
-    static get root2pi() {
-        return 2.5066282746310002;
+    get layout() {
+        if(typeof this.layoutCache === "undefined" || this.layoutCache === null)
+            this.layoutCache = this.measureLayout();
+        return this.layoutCache;
     }
 
     /**
-     * Return f(x) which is the frequency of x in the normal distribution
-     * @param x {number[]} base score
-     * @param mu {number} mean of the normal distribution
-     * @param sd {number} standard deviation of the normal distribution
-     * @return {number[]} resulting f(x) values
+     * Measure the layout of the canvas (see layout). Sizes are in CSS pixels; columns may be a fraction of
+     * a pixel wide so that they fill the panel at any canvas size.
+     * @return {{pixelsPerPoint: {x: number, y: number}, gutter: {x: number, y: number}, panel: {},
+     * size: {width: number, height: number}}}
      */
-    static f(x, mu, sd) {
-        let y = [];
-        const z = 1 / (Distribution.root2pi * sd);
-        const w = Math.pow(2*sd, 2);
-        for(let i = 0; i < x.length; i++) {
-            // normal distribution
-            y[i] = z * Math.exp(-(Math.pow(x[i] - mu,2) / w));
-        }
-        return y;
+    measureLayout() {
+        let gutter = {
+            x: this.style.gutterX,
+            y: this.style.gutterY
+        };
+
+        let panel = {
+            left: gutter.x + this.style.paddingX,
+            top: gutter.y + this.style.paddingY
+        };
+        panel.width = this.canvas.clientWidth - panel.left*2;
+        panel.height = this.canvas.clientHeight - panel.top*2;
+        panel.bottom = panel.top + panel.height; // saves a lot of repetition
+        panel.right = panel.left + panel.width;
+
+        let pixelsPerPoint = {
+            x: panel.width / this.x.length,
+            y: panel.height / (this.maxPossiblePrecision - this.style.precisionStart) // y axis 0:maxPrecision
+        };
+
+        let size = {width: this.canvas.clientWidth, height: this.canvas.clientHeight};
+
+        return {pixelsPerPoint, gutter, panel, size};
     }
 
     /**
-     * Find the value z for which the sum of values in y is closest to 0
-     * @param y {number[]}
-     * @return {number}
+     * Discard the measured layout so that it is measured again when next needed
+     * @return {Distribution} self for chaining
      */
-    static findIntercept(y) {
-        // This can probably just be -(mean of the y values)!
-        let error = Infinity;
-        let newError = Infinity;
-        let z = 0;
-        let yNew = [];
-        for(let i = utils.getMin(y);
-            i < utils.getMax(y);
-            i += (utils.getMax(y)-utils.getMin(y)) / y.length) {
-            yNew = utils.add(y, -i);
-            newError = Math.abs(utils.sum(yNew));
-            if(newError < error) {
-                error = newError;
-                z = i;
-            }
-        }
-        return z;
+    invalidateLayout() {
+        this.layoutCache = null;
+        return this;
     }
 
     /**
-     * Return the constant area-under-curve adjusted y coordinates
-     * @param x {number} mean/modal x value
-     * @param xValues {number[]} x values
-     * @param yValues {number[]} precision values corresponding to x values
-     * @return {number[]} precision values adjusted for AUC
+     * Whether the canvas has changed size since the layout was measured. False if nothing has been measured yet,
+     * as nothing has been drawn to be redrawn.
+     * @return {boolean}
      */
-    static adjustForConstantAUC(x, xValues, yValues) {
-        let yValuesNew = yValues;
-        // Remainder is the absolute difference of tail areas
-        let remainder = 0;
-        for(let i = 0; i < xValues.length; i++) {
-            if(xValues[i] < x)
-                remainder += yValues[i];
-            else if(xValues[i] > x)
-                remainder -= yValues[i];
-        }
-        remainder = Math.abs(remainder);
-        if(remainder/xValues.length > 0) {
-            // increase each y value proportionately to its current value
-            let sum = utils.sum(yValues);
-            for(let i = 0; i < yValues.length; i++) {
-                yValuesNew[i] += remainder * (yValues[i] / sum);
-            }
-        }
-        return yValuesNew;
+    get resized() {
+        if(typeof this.layoutCache === "undefined" || this.layoutCache === null)
+            return false;
+        return this.layoutCache.size.width !== this.canvas.clientWidth ||
+            this.layoutCache.size.height !== this.canvas.clientHeight;
     }
 
     /**
-     * Generate the AUC adjusted peak precision values for the distribution's x values at a specified precision
-     * @param precision {number} precision value for which to calculate the adjusted curve
-     * @return {number[]} precision values adjusted for constant area-under-curve
+     * Measure the layout again and redraw the panel and axes, keeping the current bet.
+     * Called when the canvas changes size.
+     * @return {Distribution} self for chaining
      */
-    adjustForAUC(precision) {
-        let out = [];
-        for(let i = 0; i < this.x.length; i++) {
-            let y = Distribution.f(this.x, this.x[i], this.getSD(precision));
-            out[i] = Distribution.adjustForConstantAUC(this.x[i], this.x, y)[i];
-        }
-        return out;
+    relayout() {
+        this.invalidateLayout();
+        if(typeof this.bet.index === "undefined")
+            return this.cancelRedraw().clearCanvas().drawAxisX();
+        return this.requestRedraw();
     }
 
     /**
-     * Find the maximum number of pixels assignable to each point, and the number of pixels left over
-     * @param points {int} number of points required
-     * @param pixels {int} number of pixels available
-     * @return {{ratio: number, remainder: number}}
+     * Resize the canvas to fill the width of its container, keeping the aspect ratio given by its width and
+     * height attributes when it was registered
+     * @return {Distribution} self for chaining
      */
-    static getPixelRatio(points, pixels) {
-        let ratio = Math.floor(pixels / points);
-        let remainder = pixels - (ratio * points);
-        return {ratio, remainder};
+    fitToContainer() {
+        let container = this.canvas.parentElement;
+        if(container === null)
+            return this;
+        let width = container.clientWidth;
+        if(typeof getComputedStyle === "function") {
+            let containerStyle = getComputedStyle(container);
+            width -= parseFloat(containerStyle.paddingLeft) + parseFloat(containerStyle.paddingRight);
+        }
+        width -= this.canvas.offsetWidth - this.canvas.clientWidth; // borders
+        if(!(width > 0))
+            return this;
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = (width * this.canvas.aspectRatio) + 'px';
+        return this;
     }
 
     /**
-     * @return {number} Precision value at the extremes of x value and maxPrecision with AUC adjustment
+     * Ratio of device pixels to CSS pixels, e.g. 2 on most high density (retina) screens
+     * @return {number}
      */
-    get maxPossiblePrecision() {
-        if(!this.constantAUC)
-            return this.maxPrecision;
-        let y = Distribution.f(this.x, this.x[this.x.length-1], this.getSD(this.maxPrecision));
-        return Distribution.adjustForConstantAUC(this.x[this.x.length-1], this.x, y)[this.x.length-1] * this.scale;
+    static get pixelRatio() {
+        return typeof window !== "undefined" && window.devicePixelRatio > 0? window.devicePixelRatio : 1;
     }
 
     /**
-     * Number of pixels for each cartesian point
-     * @return {{x: number, y: number}}
+     * Match the canvas's backing store to its displayed size at the device pixel ratio, so drawing is sharp on
+     * high density screens. Drawing coordinates stay in CSS pixels.
+     * @return {Distribution} self for chaining
      */
-    get pixelsPerPoint() {
-        return {
-            x: Distribution.getPixelRatio(this.x.length, this.canvas.clientWidth).ratio,
-            y: Distribution.getPixelRatio(this.maxPossiblePrecision - this.style.precisionStart,
-                this.canvas.clientHeight).ratio // y axis 0:maxPrecision
-        };
-    }
-
-    get scale() {
-        // scale standard deviation and precision to x axis
-        return this.x.length / this.scaleFactor;
+    scaleCanvas() {
+        // fix the displayed size first, which otherwise follows the width and height attributes
+        if(!this.canvas.style.width)
+            this.canvas.style.width = this.canvas.clientWidth + 'px';
+        if(!this.canvas.style.height)
+            this.canvas.style.height = this.canvas.clientHeight + 'px';
+
+        let ratio = Distribution.pixelRatio;
+        let width = Math.round(this.canvas.clientWidth * ratio);
+        let height = Math.round(this.canvas.clientHeight * ratio);
+        // setting the size clears the canvas, so only do it when the size changes
+        if(this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.canvas.getContext('2d').setTransform(ratio, 0, 0, ratio, 0, 0);
+        return this;
     }
 
     /**
-     * Return the standard deviation required to peak at a given precision value
-     * @param [precision] {number} precision value at which to peak. Defaults to the current bet precision.
-     * @return {number} standard deviation of the distribution
+     * Number of pixels for each cartesian point
+     * @return {{x: number, y: number}}
      */
-    getSD(precision) {
-        if(typeof precision ===  "undefined")
-            precision = this.bet.precision;
-
-        // sd has to be such that the highest y value should be the mean specified by the user
-        // This can be obtained by rearranging the normal distribution formula for x = mode(x)
-        return 1 / (Distribution.root2pi * precision / this.scale);
+    get pixelsPerPoint() {
+        return this.layout.pixelsPerPoint;
     }
 
     /**
      * Return cursor position in panel coordinates
-     * @param clickEvent {MouseEvent}
+     * @param clickEvent {MouseEvent|PointerEvent}
      * @param save {boolean} whether to update saved coordaintes
      * @return {{x: number, y: number}}
      */
@@ -418,72 +550,172 @@ class Distribution {
         return {x, y};
     }
 
-    findPrecisionWhichAdjustsTo(targetPrecision, maxError = 0.00001, maxCycles = 1000) {
-        let testPrecision = targetPrecision;
-        let cycles = 0;
-        let searchDownwards = false;
-        let stepSize = .5;
-        let best = {input: testPrecision, result: testPrecision, error: Infinity};
-        while(cycles++ < maxCycles) {
-            let y = Distribution.f(this.x, this.bet.on, this.getSD(testPrecision));
-            let result = Distribution.adjustForConstantAUC(this.bet.on, this.x, y)[this.bet.index] * this.scale;
-            let error = Math.abs(result - targetPrecision);
-
-            // update best value
-            if (best.error > error) {
-                // getting warmer...
-                best = {input: testPrecision, result, error};
-                if(best.error < maxError)
-                    break; // good enough, we're done
-            } else {
-                // colder - do something different
-                // reduce step size
-                stepSize /= 2;
-                // reverse search direction
-                searchDownwards = !searchDownwards;
-                // go back to our best result
-                testPrecision = best.input;
-            }
+    /**
+     * Calculate the mean and precision as a function of the cursor position, update the curve,
+     * and record the result in the response trajectory
+     * @return {Distribution} - return self for chaining
+     */
+    updateFromCursor(clickEvent) {
+        let cursor = this.getCursorCoordinates(clickEvent);
 
-            testPrecision += (searchDownwards? -1 : 1) * stepSize;
-        }
+        if(this.mode === 'interval')
+            this.setInterval(this.intervalAnchor, this.x[this.xToValue(cursor.x)]);
+        else if(this.mode === 'histogram')
+            // the column under the cursor gets as many chips as reach the cursor height
+            this.setChips(this.binOf(this.xToValue(cursor.x)), this.yToPrecision(cursor.y) / this.chipHeight);
+        else
+            // desired mean is the x equivalent value of the mouse x coordinate clamped by the max
+            // desired precision is y as proportion of space available
+            this.updateBet(this.xToValue(cursor.x), this.yToPrecision(cursor.y));
 
-        return cycles >= maxCycles? NaN : best.input;
+        this.bet.y = this.precisionToY(this.bet.precision);
+        this.updateY()
+            .recordSample(clickEvent.type);
+
+        if(typeof this.callback.onUpdate === "function")
+            this.callback.onUpdate(clickEvent);
+
+        return this;
     }
 
     /**
-     * Calculate the mean and precision as a function of the cursor position
-     * @return {Distribution} - return self for chaining
+     * Place a bet without user input and redraw, e.g. to restore a previous answer or pre-fill a default.
+     * See DistributionModel.setBet for validation and clamping.
+     * @param bet {{on: number, precision: number}|{components: {}[]}} bet to place
+     * @param [notify = false] {boolean} whether to call callback.onUpdate as user input would
+     * @return {Distribution} self for chaining
      */
-    updateFromCursor(clickEvent) {
-        let cursor = this.getCursorCoordinates(clickEvent);
+    setBet(bet, notify = false) {
+        super.setBet(bet);
+        if(this.canvas !== null) {
+            this.bet.y = this.precisionToY(this.bet.precision);
+            this.updateY()
+                .redraw()
+                .announce();
+        }
 
-        // desired mean is the x equivalent value of the mouse x coordinate clamped by the max
-        this.bet.index = this.xToValue(cursor.x);
-        this.bet.on = this.x[this.bet.index];
+        if(notify && typeof this.callback.onUpdate === "function")
+            this.callback.onUpdate(null);
 
-        // y as proportion of space available
-        this.bet.precision = this.yToPrecision(cursor.y);
+        return this;
+    }
 
-        if(this.constantAUC) {
-            this.bet.precision = this.findPrecisionWhichAdjustsTo(this.bet.precision);
+    /**
+     * Update the bet from a key press and redraw. Keys:
+     * * Left/Right arrows move the answer by one x point (10 with shift)
+     * * Up/Down arrows raise/lower the precision by 5% of the allowed range (25% with shift)
+     * In mixture mode keys act on the selected component, and also:
+     * * Insert adds a component, Delete removes the selected component
+     * * number keys select a component
+     * * +/- change the selected component's weight
+     * In histogram mode Left/Right arrows move between bins and Up/Down arrows add or remove a chip (5 with shift).
+     * @param keyEvent {KeyboardEvent}
+     * @return {boolean} whether the key was handled
+     */
+    updateFromKeyboard(keyEvent) {
+        let big = keyEvent.shiftKey;
+        let mixture = this.mode === 'mixture';
+
+        if(this.mode === 'histogram') {
+            let bin = typeof this.bet.index === "undefined"?
+                Math.floor(this.histogramBins / 2) : this.binOf(this.bet.index);
+            let chips = this.bet.chips[bin];
+            let left = this.reverseX? 1 : -1;
+            switch(keyEvent.key) {
+                case 'ArrowLeft':
+                    bin += left;
+                    break;
+                case 'ArrowRight':
+                    bin -= left;
+                    break;
+                case 'ArrowUp':
+                    chips += big? 5 : 1;
+                    break;
+                case 'ArrowDown':
+                    chips -= big? 5 : 1;
+                    break;
+                default:
+                    return false;
+            }
+            bin = bin < 0? 0 : bin > this.histogramBins - 1? this.histogramBins - 1 : bin;
+            if(keyEvent.key === 'ArrowLeft' || keyEvent.key === 'ArrowRight')
+                chips = this.bet.chips[bin];
+            this.setChips(bin, chips);
+            this.bet.y = this.precisionToY(this.bet.precision);
+            this.updateY()
+                .recordSample(keyEvent.type)
+                .redraw()
+                .announce();
+            if(typeof this.callback.onUpdate === "function")
+                this.callback.onUpdate(keyEvent);
+            return true;
         }
 
-        // Clamp by allowed precision range
-        this.bet.precision = this.bet.precision < this.minPrecision?
-            this.minPrecision : this.bet.precision > this.maxPrecision?
-                this.maxPrecision : this.bet.precision;
+        if(mixture) {
+            let handled = true;
+            let number = parseInt(keyEvent.key);
+            if(keyEvent.key === 'Insert')
+                this.addComponent(Math.floor(this.x.length / 2), (this.minPrecision + this.maxPrecision) / 2, 1);
+            else if(keyEvent.key === 'Delete')
+                this.removeComponent(this.bet.component);
+            else if(number > 0 && number <= this.bet.components.length)
+                this.selectComponent(number - 1);
+            else if((keyEvent.key === '+' || keyEvent.key === '=') && this.bet.component >= 0)
+                this.setComponentWeight(this.bet.component, this.bet.components[this.bet.component].weight * 1.1);
+            else if(keyEvent.key === '-' && this.bet.component >= 0)
+                this.setComponentWeight(this.bet.component, this.bet.components[this.bet.component].weight / 1.1);
+            else
+                handled = false;
+            if(handled) {
+                this.updateY().recordSample(keyEvent.type).redraw().announce();
+                if(typeof this.callback.onUpdate === "function")
+                    this.callback.onUpdate(keyEvent);
+                return true;
+            }
+        }
 
-        this.bet.y = this.precisionToY(this.bet.precision);
+        let index = this.bet.index;
+        let precision = this.bet.precision;
+        if(typeof index === "undefined" || (mixture && this.bet.component === -1)) {
+            // no bet yet: start in the middle
+            index = Math.floor(this.x.length / 2);
+            precision = (this.minPrecision + this.maxPrecision) / 2;
+            if(mixture)
+                this.addComponent(index, precision);
+        }
 
-        // desired bet amount is proportion of the betting space available
-        this.bet.amount = this.yToPayout(this.bet.y);
-        this.bet.time = new Date().getTime();
+        // left is always towards lower x values
+        let left = this.reverseX? 1 : -1;
+        let step = (this.maxPrecision - this.minPrecision) / (big? 4 : 20);
+        switch(keyEvent.key) {
+            case 'ArrowLeft':
+                index += left * (big? 10 : 1);
+                break;
+            case 'ArrowRight':
+                index -= left * (big? 10 : 1);
+                break;
+            case 'ArrowUp':
+                precision += step;
+                break;
+            case 'ArrowDown':
+                precision -= step;
+                break;
+            default:
+                return false;
+        }
+        index = index < 0? 0 : index > this.x.length - 1? this.x.length - 1 : index;
+
+        this.updateBet(index, precision, false);
+        this.bet.y = this.precisionToY(this.bet.precision);
+        this.updateY()
+            .recordSample(keyEvent.type)
+            .redraw()
+            .announce();
 
         if(typeof this.callback.onUpdate === "function")
-            this.callback.onUpdate(clickEvent);
+            this.callback.onUpdate(keyEvent);
 
-        return this;
+        return true;
     }
 
     /**
@@ -492,14 +724,7 @@ class Distribution {
      * @return Distribution - return self for chaining
      */
     updateY() {
-        // Calculate the y values
-        this.precisionRaw = Distribution.f(this.x, this.bet.on, this.getSD());
-
-        // Adjust y values for cases where the distribution has portions which are out-of-range
-        if(this.constantAUC)
-            this.precision = Distribution.adjustForConstantAUC(this.bet.on, this.x, this.precisionRaw);
-        else
-            this.precision = this.precisionRaw;
+        this.updatePrecision();
 
         // Scale resulting y values to match x axis range
         // let range = this.xMax - this.xMin;
@@ -510,59 +735,44 @@ class Distribution {
     }
 
     /**
-     * Clear the canvas
+     * Clear the canvas, first matching its backing store to its size (see scaleCanvas)
      * @return {Distribution} self for chaining
      */
     clearCanvas() {
+        this.scaleCanvas();
         let ctx = this.canvas.getContext('2d');
         ctx.clearRect(0,0,this.canvas.clientWidth, this.canvas.clientHeight);
         this.canvas.style.backgroundColor = this.style.backgroundColor;
         return this;
     }
 
-    drawRectangles() {
-        let ctx = this.canvas.getContext('2d');
-        ctx.lineWidth = this.pixelsPerPoint.x / 4;
-        let strokeStyle = {
-            low: ctx.lineWidth <= 1? this.style.rectangleFillLow : this.style.backgroundColor,
-            high: ctx.lineWidth <= 1? this.style.rectangleFill : this.style.backgroundColor
-        };
+    /**
+     * Renderer chosen by style.renderer
+     * @return {{}} renderer object (see Renderers)
+     */
+    get renderer() {
+        return Renderers.get(this.style.renderer);
+    }
 
-        for(let i = 0; i < this.y.length; i++) {
-            ctx.beginPath();
-            ctx.rect(this.valueToX(this.x[i]) - this.pixelsPerPoint.x/4,
-                this.panel.bottom - this.y[i],
-                this.pixelsPerPoint.x - this.pixelsPerPoint.x/2, // account for the frame in the width
-                this.y[i]);
-            ctx.strokeStyle = strokeStyle.high;
-            ctx.fillStyle = this.style.rectangleFill;
-            ctx.fill();
-            ctx.stroke();
-        }
+    /**
+     * Draw the curve with the renderer
+     * @return {Distribution} self for chaining
+     */
+    drawCurve() {
+        this.renderer.draw(this);
         return this;
     }
 
     /**
-     * Draw a single rectangle. Used for animations.
-     * @param xIndex {int} index of this.x to use for positioning rectangle
-     * @param y {number} y-coordinate of the rectangle's extremity from the origin
-     * @param [fill=style.animationStroke] {string|null} colour of the rectangle fill
-     * @param [line=style.animationFill] {string|null} colour of the rectangle outline
+     * Draw a single column with the renderer. Used for animations.
+     * @param xIndex {int} index of this.x at which to draw the column
+     * @param y {number} y-coordinate of the column's extremity from the origin
+     * @param [fill=style.animationFill] {string|null} colour of the column fill
+     * @param [line=style.animationStroke] {string|null} colour of the column outline
      * @return {Distribution}
      */
     drawRectangle(xIndex, y, fill = null, line = null) {
-        let ctx = this.canvas.getContext('2d');
-        ctx.beginPath();
-        ctx.strokeStyle = line !== null? line : this.style.animationStroke;
-        ctx.fillStyle = fill !== null? fill : this.style.animationFill;
-        ctx.lineWidth = this.pixelsPerPoint.x / 4;
-        ctx.rect(
-            this.valueToX(this.x[xIndex]) - this.pixelsPerPoint.x/4,
-            this.panel.bottom - y,
-            this.pixelsPerPoint.x - this.pixelsPerPoint.x/2,
-            y);
-        ctx.fill();
-        ctx.stroke();
+        this.renderer.drawColumn(this, xIndex, y, fill, line);
         return this;
     }
 
@@ -573,7 +783,11 @@ class Distribution {
      * @param [frameNumber=0] {int} which frame is currently playing
      */
     animatePayout(xIndex, pixelsPerFrame = 5, frameNumber = 0) {
+        this.cancelAnimation();
         let y = this.y[xIndex];
+        // nothing to animate, e.g. the curve was cleared by reconfigure
+        if(!isFinite(y))
+            return;
         let lt0 = y < 0;
         if(lt0)
             y += pixelsPerFrame * frameNumber;
@@ -583,15 +797,13 @@ class Distribution {
         if(end)
             y = 0;
 
-        this.clearCanvas()
-            .drawRectangles()
+        this.cancelRedraw()
+            .clearCanvas()
+            .drawCurve()
             .highlightColumn(xIndex)
             .drawRectangle(xIndex, y)
             .drawAxisX()
-            .drawWidget({
-                x: this.valueToX(this.x[this.bet.index]),
-                y: this.y[this.bet.index]
-            });
+            .drawWidgets();
 
         if(typeof this.callback.onDraw === "function")
             this.callback.onDraw();
@@ -605,50 +817,198 @@ class Distribution {
                 this.callback.onAnimationEnd(xIndex, y, pixelsPerFrame, frameNumber);
     }
 
+    /**
+     * Mark the column at xIndex with the renderer, e.g. the outcome during animatePayout
+     * @param xIndex {int} index of this.x
+     * @return {Distribution} self for chaining
+     */
     highlightColumn(xIndex) {
+        this.renderer.highlight(this, xIndex);
+        return this;
+    }
+
+    /**
+     * Draw the widget for the bet, or for each component of a mixture along with the component's curve
+     * @return {Distribution} self for chaining
+     */
+    drawWidgets() {
+        if(this.mode === 'interval')
+            this.drawInterval();
+        if(this.mode === 'histogram') {
+            this.drawBins();
+            if(typeof this.bet.index === "undefined")
+                return this;
+        }
+        if(this.mode !== 'mixture')
+            return this.drawWidget({
+                x: this.valueToX(this.x[this.bet.index]),
+                y: this.y[this.bet.index]
+            });
+
         let ctx = this.canvas.getContext('2d');
-        ctx.beginPath();
-        ctx.lineWidth = this.pixelsPerPoint.x / 4;
-        ctx.strokeStyle = 'lightgreen';
-        ctx.fillStyle = 'lightgreen';
-        ctx.rect(
-            this.valueToX(this.x[xIndex]) - this.pixelsPerPoint.x/2,
-            0,
-            this.pixelsPerPoint.x,
-            this.canvas.clientHeight
-        );
-        ctx.fill();
-        ctx.stroke();
+        this.bet.components.forEach((c, k)=>{
+            let curve = this.componentPrecision[k];
+            ctx.beginPath();
+            ctx.strokeStyle = k === this.bet.component? 'black' : 'grey';
+            ctx.lineWidth = 1;
+            for(let i = 0; i < curve.length; i++)
+                ctx.lineTo(this.valueToX(this.x[i]), this.panel.bottom - this.precisionToY(curve[i] * this.scale));
+            ctx.stroke();
+        });
+        this.bet.components.forEach((c, k)=>this.drawWidget(this.componentWidgetPosition(k), k));
         return this;
     }
 
+    /**
+     * Shade the interval bet on and draw a handle at each end
+     * @return {Distribution} self for chaining
+     */
+    drawInterval() {
+        let ctx = this.canvas.getContext('2d');
+        let panel = this.panel;
+        let bounds = [this.bet.interval.lower, this.bet.interval.upper]
+            .map((v)=>Math.min(panel.right, Math.max(panel.left, this.valueToX(v))));
+
+        ctx.fillStyle = this.style.intervalFill;
+        ctx.fillRect(bounds[0], panel.top, bounds[1] - bounds[0], panel.height);
+
+        ctx.strokeStyle = this.style.intervalStroke;
+        ctx.fillStyle = this.style.intervalStroke;
+        ctx.lineWidth = 2;
+        bounds.forEach((x)=>{
+            ctx.beginPath();
+            ctx.moveTo(x, panel.top);
+            ctx.lineTo(x, panel.bottom);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(x, panel.bottom, this.style.widgetSize, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+        return this;
+    }
+
+    /**
+     * Outline each histogram bin, label it with its chips, and show how many chips are left to place
+     * @return {Distribution} self for chaining
+     */
+    drawBins() {
+        let ctx = this.canvas.getContext('2d');
+        let panel = this.panel;
+        ctx.strokeStyle = this.style.binStroke;
+        ctx.fillStyle = this.style.binStroke;
+        ctx.lineWidth = 1;
+        ctx.font = this.style.binFont;
+        ctx.textAlign = 'center';
+        for(let b = 0; b < this.histogramBins; b++) {
+            let indices = this.binIndices(b);
+            let bounds = [indices.first, indices.last]
+                .map((i)=>this.valueToX(this.x[i]))
+                .sort((a, c)=>a - c);
+            let left = bounds[0] - this.pixelsPerPoint.x / 2;
+            let width = bounds[1] - bounds[0] + this.pixelsPerPoint.x;
+            let top = panel.bottom - this.precisionToY(this.bet.chips[b] * this.chipHeight);
+            ctx.strokeRect(left, top, width, panel.bottom - top);
+            if(this.bet.chips[b] > 0)
+                ctx.fillText(this.bet.chips[b].toString(), left + width / 2, top - 4);
+        }
+        ctx.textAlign = 'right';
+        ctx.fillText('Chips left: ' + this.chipsRemaining.toString(), panel.right - 4, panel.top + 14);
+        return this;
+    }
+
+    /**
+     * Choose which end of the interval a drag will move: the end nearest the cursor.
+     * Before an interval has been marked, the drag marks out a new interval from the cursor.
+     * @param event {PointerEvent}
+     * @return {Distribution} self for chaining
+     */
+    selectHandleAt(event) {
+        let value = this.x[this.xToValue(this.getCursorCoordinates(event, false).x)];
+        let interval = this.bet.interval;
+        if(typeof interval === "undefined")
+            this.intervalAnchor = value;
+        else
+            this.intervalAnchor = Math.abs(value - interval.lower) <= Math.abs(value - interval.upper)?
+                interval.upper : interval.lower;
+        return this;
+    }
+
+    /**
+     * Position of a mixture component's widget: on the peak of the component's own curve
+     * @param component {int} index of bet.components
+     * @return {{x: number, y: number}}
+     */
+    componentWidgetPosition(component) {
+        let c = this.bet.components[component];
+        return {
+            x: this.valueToX(c.on),
+            y: this.precisionToY(this.componentPrecision[component][c.index] * this.scale)
+        };
+    }
+
     /**
      * Draw the moving widget
      * @param centre {{x: number, y: number}} coordinates for the widget's centre
+     * @param [component] {int} index of bet.components the widget belongs to in mixture mode
      */
-    drawWidget(centre) {
+    drawWidget(centre, component) {
         let ctx = this.canvas.getContext('2d');
 
         ctx.beginPath();
         ctx.fillStyle = 'white';
-        ctx.strokeStyle = 'black';
+        ctx.strokeStyle = typeof component === "undefined" || component === this.bet.component? 'black' : 'grey';
         ctx.arc(centre.x, this.panel.bottom - centre.y, this.style.widgetSize, 0, 2 * Math.PI);
         ctx.lineWidth = 2;
         ctx.fill();
         ctx.stroke();
 
         if(this.style.showWidgetLabel)
-            this.labelWidget(centre);
+            this.labelWidget(centre, component);
 
         return this;
     }
 
-    labelWidget(widgetPosition) {
-        let bet = this.yToPayout(this.y[this.bet.index]);
-        let betString = (Math.round(bet*100)/100).toFixed(2);
+    /**
+     * Text of the widget label, e.g. "$0.42 on 1923"
+     * @param [component] {int} index of bet.components in mixture mode
+     * @return {string}
+     */
+    widgetLabelText(component) {
+        let bet = this.bet;
+        let text = "";
+        if(typeof component !== "undefined") {
+            bet = this.bet.components[component];
+            text = " (" + Math.round(this.componentShare(component) * 100).toString() + "%)";
+        }
+        let payout = this.payoutAt(bet.index);
+        let betString = (Math.round(payout*100)/100).toFixed(2);
+        if(this.mode === 'interval')
+            text = " (" + Math.round(this.intervalCoverage * 100).toString() + "% between " +
+                this.formatValue(bet.interval.lower) + this.units + " and " +
+                this.formatValue(bet.interval.upper) + this.units + ")";
+        if(this.mode === 'histogram') {
+            let bin = this.binOf(bet.index);
+            let indices = this.binIndices(bin);
+            return "$" + betString + " on " + this.formatValue(this.x[indices.first]) + this.units + " to " +
+                this.formatValue(this.x[indices.last]) + this.units + " (" + bet.chips[bin].toString() + " of " +
+                this.chips.toString() + " chips)";
+        }
+        return "$" + betString + " on " + this.formatValue(bet.on) + this.units + text;
+    }
+
+    /**
+     * Format an x value for display as the axis scale writes it: with as many decimal places as the axis needs on
+     * a linear axis (see decimals), to 3 significant figures on a log10 axis, or as a date
+     * @param value {number}
+     * @return {string}
+     */
+    formatValue(value) {
+        return this.axisScale.format(value, this);
+    }
 
+    labelWidget(widgetPosition, component) {
         let label = {
-            text: "$" + betString + " on " + (this.bet.on).toString(),
+            text: this.widgetLabelText(component),
             font: '14px Arial',
             left: widgetPosition.x + this.style.widgetSize*2,
             width: 100,
@@ -678,17 +1038,21 @@ class Distribution {
         if(this.canvas === null) // TODO: better check for canvas usability. Move to constructor?
             return console.log('No canvas defined for drawToCanvas');
 
-        this.updateFromCursor(clickEvent)
-            .updateY();
+        this.updateFromCursor(clickEvent);
 
-        this.clearCanvas()
-            .drawRectangles()
-            .drawAxisX();
+        return this.requestRedraw();
+    }
 
-        this.drawWidget({
-            x: this.valueToX(this.x[this.bet.index]),
-            y: this.y[this.bet.index]
-        });
+    /**
+     * Redraw the current curve, axis and widgets
+     * @return {Distribution} self for chaining
+     */
+    redraw() {
+        this.cancelRedraw();
+        this.clearCanvas()
+            .drawCurve()
+            .drawAxisX()
+            .drawWidgets();
 
         if(typeof this.callback.onDraw === "function")
             this.callback.onDraw();
@@ -696,30 +1060,149 @@ class Distribution {
         return this;
     }
 
+    /**
+     * Redraw at the next animation frame. Requests made before then share one redraw, so pointer events
+     * arriving faster than the display refreshes do not each repaint the canvas.
+     * Redraws at once where requestAnimationFrame is not available.
+     * @return {Distribution} self for chaining
+     */
+    requestRedraw() {
+        if(typeof requestAnimationFrame !== "function")
+            return this.redraw();
+        if(typeof this.redrawRequest === "undefined" || this.redrawRequest === null)
+            this.redrawRequest = requestAnimationFrame(()=>{
+                this.redrawRequest = null;
+                this.redraw();
+            });
+        return this;
+    }
+
+    /**
+     * Cancel any redraw requested with requestRedraw, e.g. because the canvas is about to be drawn anyway
+     * @return {Distribution} self for chaining
+     */
+    cancelRedraw() {
+        if(typeof this.redrawRequest !== "undefined" && this.redrawRequest !== null) {
+            cancelAnimationFrame(this.redrawRequest);
+            this.redrawRequest = null;
+        }
+        return this;
+    }
+
+    /**
+     * Stop any payout animation in progress without calling onAnimationEnd, e.g. because the trial it shows is
+     * over
+     * @return {Distribution} self for chaining
+     */
+    cancelAnimation() {
+        clearTimeout(this.animationTimeout);
+        this.animationTimeout = null;
+        return this;
+    }
+
+    /**
+     * Return the mixture component whose widget is under the cursor
+     * @param event {MouseEvent}
+     * @return {int} index of bet.components, or -1 if there is none
+     */
+    componentAt(event) {
+        let cursor = this.getCursorCoordinates(event, false);
+        let found = -1;
+        this.bet.components.forEach((c, k)=>{
+            let widget = this.componentWidgetPosition(k);
+            let distance = Math.hypot(widget.x - this.panel.left - cursor.x, widget.y - cursor.y);
+            if(distance <= this.style.widgetSize * 2)
+                found = k;
+        });
+        return found;
+    }
+
+    /**
+     * Select the mixture component under the cursor. Clicking away from the widgets adds a new component,
+     * or selects the component nearest along the x axis if there are already maxComponents.
+     * @param event {MouseEvent}
+     * @return {Distribution} self for chaining
+     */
+    selectComponentAt(event) {
+        let component = this.componentAt(event);
+        if(component === -1) {
+            let index = this.xToValue(this.getCursorCoordinates(event, false).x);
+            if(this.bet.components.length < this.maxComponents)
+                return this.addComponent(index, this.minPrecision);
+            let nearest = Infinity;
+            this.bet.components.forEach((c, k)=>{
+                if(Math.abs(c.index - index) < nearest) {
+                    nearest = Math.abs(c.index - index);
+                    component = k;
+                }
+            });
+        }
+        return this.selectComponent(component);
+    }
+
+    /**
+     * Remove the mixture component whose widget is under the cursor
+     * @param event {MouseEvent}
+     * @return {Distribution} self for chaining
+     */
+    removeComponentAt(event) {
+        let component = this.componentAt(event);
+        if(component === -1)
+            return this;
+        this.removeComponent(component)
+            .updateY()
+            .recordSample(event.type)
+            .redraw();
+        if(typeof this.callback.onUpdate === "function")
+            this.callback.onUpdate(event);
+        return this;
+    }
+
+    /**
+     * Change the weight of the mixture component under the cursor (or the selected component)
+     * by scrolling: scrolling up increases the weight.
+     * @param wheelEvent {WheelEvent}
+     * @return {Distribution} self for chaining
+     */
+    weighComponentAt(wheelEvent) {
+        let component = this.componentAt(wheelEvent);
+        if(component === -1)
+            component = this.bet.component;
+        if(component === -1)
+            return this;
+        let weight = this.bet.components[component].weight;
+        this.setComponentWeight(component, wheelEvent.deltaY < 0? weight * 1.1 : weight / 1.1)
+            .updateY()
+            .recordSample(wheelEvent.type)
+            .redraw();
+        if(typeof this.callback.onUpdate === "function")
+            this.callback.onUpdate(wheelEvent);
+        return this;
+    }
+
     /**
      * Draw the result by redrawing the display and overlaying a highlighted column.
-     * @param result
+     * Results between x values are shown in the nearest column, and paid as described in payoutFor.
+     * @param result {number} correct answer
      * @return {Distribution}
+     * @throws {Error} if result is beyond the x axis, where it could be neither shown nor paid
      */
     showResult(result) {
+        if(isNaN(this.fractionalIndex(result)))
+            throw new Error('Result ' + result + ' is beyond the x axis (' + this.xMin + ' to ' + this.xMax + ')');
         // Save amount won
-        let x = this.x.indexOf(result);
-        this.bet.won = this.yToPayout(this.y[x]);
-        this.animatePayout(x);
+        this.bet.won = this.payoutFor(result);
+        this.animatePayout(this.nearestIndex(result));
 
         return this;
     }
 
     /**
-     * The gutter runs along the edges of the canvas and is adjusted to ensure the content is centred on the canvas.
+     * The gutter runs along the edges of the canvas, outside the padding.
      * @return {{x: number, y: number}}
      */
     get gutter() {
-        let graphGap = this.canvas.clientWidth - (this.pixelsPerPoint.x * (this.xMax - this.xMin));
-        return {
-            x: this.style.gutterX + graphGap/2,
-            y: this.style.gutterY
-        }
+        return this.layout.gutter;
     }
 
     /**
@@ -727,19 +1210,12 @@ class Distribution {
      * @return {{left: *, right: *, top: *, bottom: *, height: *, width: *}}
      */
     get panel() {
-        let out = {
-            left: this.gutter.x + this.style.paddingX,
-            top: this.gutter.y + this.style.paddingY
-        };
-        out.width = this.canvas.clientWidth - out.left*2;
-        out.height = this.canvas.clientHeight - out.top*2;
-        out.bottom = out.top + out.height; // saves a lot of repetition
-        out.right = out.left + out.width;
-        return out;
+        return this.layout.panel;
     }
 
     /**
-     * Return the x coordinate of a given value from the x-scale
+     * Return the x coordinate of a given value from the x-scale. Each x value is at the centre of its column,
+     * and values between x values are placed proportionally (on the axis scale) between their columns.
      * @param value {number|number[]} value on the x-axis to plot
      * @return {number} x coordinate for plotting
      */
@@ -752,12 +1228,14 @@ class Distribution {
                 sum += this.valueToX(value[i]);
             return sum;
         }
-        return this.panel.left + this.panel.width / this.x.length * (value - this.xMin) + this.pixelsPerPoint.x/2;
+        // fractional, and beyond the ends if need be
+        let index = (this.toScale(value) - this.xScaled[0]) / (this.xScaled[1] - this.xScaled[0]);
+        return this.panel.left + this.pixelsPerPoint.x * (index + .5);
     }
 
     /**
-     * Return the value on the x scale of coordinate 'x'
-     * @param x {number|number[]} coordinate
+     * Return the index of the x value whose column contains coordinate 'x'
+     * @param x {number|number[]} coordinate in panel space
      * @return {number} value
      */
     xToValue(x) {
@@ -769,7 +1247,20 @@ class Distribution {
                 sum += this.xToValue(x[i]);
             return sum;
         }
-        return Math.min(Math.floor(x / this.panel.width * this.x.length), this.x.length-1);
+        let index = Math.floor(x / this.pixelsPerPoint.x);
+        return index < 0? 0 : index > this.x.length - 1? this.x.length - 1 : index;
+    }
+
+    /**
+     * Precision space above maxPrecision: style.precisionPadding plus style.precisionMargin.
+     * An 'auto' padding leaves room for the tallest possible curve or histogram (see maxPossiblePrecision).
+     * The style itself is left as configured so that it can be copied and serialised.
+     * @return {number}
+     */
+    get precisionPadding() {
+        let padding = this.style.precisionPadding === 'auto'?
+            this.maxPossiblePrecision - this.maxPrecision : this.style.precisionPadding;
+        return padding + this.style.precisionMargin;
     }
 
     /**
@@ -778,7 +1269,7 @@ class Distribution {
      * Pixels to precision = pixels / precisionScale
      */
     get precisionScale() {
-        let precisionRange = this.maxPrecision + this.style.precisionPadding;
+        let precisionRange = this.maxPrecision + this.precisionPadding;
         let pixelRange = this.panel.height;
         return pixelRange/precisionRange;
     }
@@ -837,7 +1328,8 @@ class Distribution {
     }
 
     /**
-     * Return a y coordinate as a payout value
+     * Return a y coordinate as a payout value under the payout rule, treating y as the height of the curve
+     * at the answer. Payout rules which do not depend only on curve height (e.g. crps) return NaN.
      * @param y {number|number[]} y-coordinate
      * @param capByPayoutLimits {boolean} whether to allow values above maxPayout or below minPayout
      * @return {number} payout value
@@ -851,11 +1343,7 @@ class Distribution {
                 sum += this.yToPayout(y[i], capByPayoutLimits);
             return sum;
         }
-        let out = this.minBet +
-            (y - (this.minPrecision - this.style.precisionStart) * this.precisionScale) / this.payoutScale;
-        if(!capByPayoutLimits)
-            return out;
-        return out < this.minPayout? this.minPayout : out > this.maxPayout? this.maxPayout : out;
+        return this.heightToPayout(this.yToPrecision(y), capByPayoutLimits);
     }
 
     /**
@@ -877,14 +1365,16 @@ class Distribution {
         // ticks
         ctx.font = this.style.axisLabelFontSizeX.toString() + 'px' + ' ' + this.style.axisLabelFontX;
         ctx.textAlign = 'center';
-        for(let i = 0; i <= this.style.axisTicksX; i++) {
-            let x = Math.round(this.xMin + (this.xMax - this.xMin) / this.style.axisTicksX * i);
-            let xPosition = this.valueToX(x);
+        // the scale chooses about axisTicksX round values to mark
+        let ticks = this.axisScale.ticks(Math.min(this.xMin, this.xMax), Math.max(this.xMin, this.xMax),
+            this.style.axisTicksX);
+        ticks.forEach((tick)=>{
+            let xPosition = this.valueToX(tick.value);
             ctx.moveTo(xPosition, y);
             ctx.lineTo(xPosition, y + this.style.axisTickSizeX);
             ctx.stroke();
-            ctx.strokeText(x.toString(), xPosition, y + this.style.axisTickSizeX*2.5);
-        }
+            ctx.strokeText(tick.label, xPosition, y + this.style.axisTickSizeX*2.5);
+        });
         return this;
     }
 
@@ -894,7 +1384,7 @@ class Distribution {
      * @return {Distribution} self for chaining
      */
     drawAxisY(x) {
-        // payouts are defined by clamping minBet to minPrecision and maxBet to maxPrecision
+        // payouts are defined by the payout rule applied to the curve height
         x = typeof x === "undefined"? this.panel.left + this.style.axisPositionY : x;
         let ctx = this.canvas.getContext('2d');
         ctx.strokeStyle = this.style.axisStrokeStyleY;
@@ -906,20 +1396,61 @@ class Distribution {
         // ticks
         let tickDistance = this.panel.height / 10;
         ctx.font = this.style.axisLabelFontSizeY.toString() + 'px' + ' ' + this.style.axisLabelFontY;
-        let label = "";
+        let label = 0;
         for(let i = 0; i <= 10; i++) {
             ctx.moveTo(x, this.panel.height + this.panel.top - tickDistance*i);
             ctx.lineTo(x - this.style.axisTickSizeY, this.panel.height + this.panel.top - tickDistance*i);
             ctx.stroke();
-            label = this.yToPayout(i*this.panel.height/10).toFixed(2);
+            label = this.yToPayout(i*this.panel.height/10);
+            if(isNaN(label))
+                continue; // payout rule cannot be read off the curve height
             ctx.strokeText(
-                label,
+                label.toFixed(2),
                 x - this.style.axisTickSizeY*2,
                 this.panel.height + this.panel.top - tickDistance*i + this.style.axisLabelFontSizeY/4);
         }
         return this;
     }
 
+    /**
+     * Create a visually hidden ARIA live region next to the canvas for announcing the current bet
+     * @return {Distribution} self for chaining
+     */
+    createLiveRegion() {
+        let lr = document.createElement('div');
+        lr.setAttribute('aria-live', 'polite');
+        lr.setAttribute('role', 'status');
+        lr.style.position = 'absolute';
+        lr.style.width = '1px';
+        lr.style.height = '1px';
+        lr.style.overflow = 'hidden';
+        lr.style.clip = 'rect(0 0 0 0)';
+        lr.style.whiteSpace = 'nowrap';
+        this.canvas.parentElement.appendChild(lr);
+        this.liveRegion = lr;
+        return this;
+    }
+
+    /**
+     * Announce the current bet through the ARIA live region, mirroring the widget labels
+     * @return {Distribution} self for chaining
+     */
+    announce() {
+        if(this.canvas === null || typeof this.bet.index === "undefined" || this.precision.length === 0)
+            return this;
+        if(typeof this.liveRegion === "undefined")
+            this.createLiveRegion();
+        let text = "";
+        if(this.mode === 'mixture') {
+            let labels = [];
+            this.bet.components.forEach((c, k)=>labels.push(this.widgetLabelText(k)));
+            text = labels.length? labels.join('; ') : 'No answers marked';
+        } else
+            text = this.widgetLabelText();
+        this.liveRegion.textContent = text;
+        return this;
+    }
+
     createHoverDisplay() {
         let id = 'DistributionHoverDisplay';
         let hd = document.getElementById(id);
@@ -944,9 +1475,10 @@ class Distribution {
             return;
 
         let cursor = this.getCursorCoordinates(mouseEvent, false);
-        let value = this.xMin + this.xToValue(cursor.x);
-        let payout = this.yToPayout(this.y[this.x.indexOf(value)]);
-        let html = 'Payout for ' + value.toString() + ' = ' + payout.toFixed(2);
+        let index = this.xToValue(cursor.x);
+        let value = this.x[index];
+        let payout = this.payoutAt(index);
+        let html = 'Payout for ' + this.formatValue(value) + this.units + ' = ' + payout.toFixed(2);
         html += '; AUC = ' + utils.sum(this.y).toFixed(2) + 'y; $' + this.yToPayout(this.y).toFixed(2);
         this.hoverDisplayElement.innerHTML = html;
     }
@@ -960,7 +1492,7 @@ class Distribution {
      * * y axis showing x values (black)
      * * min/maxPrecision boundaries (pink)
      * * AUC-adjusted precision boundaries (orange, if applicable)
-     * * precision scale from style.precisionStart to maxPrecision+style.precisionPadding (red)
+     * * precision scale from style.precisionStart to maxPrecision+precisionPadding (red)
      * * payout scale (black, central)
      * * betting scale over allowed betting space (blue)
      */
@@ -1120,49 +1652,4 @@ class Distribution {
     }
 }
 
-class utils {
-    /**
-     * Find the minimum value in arr[]
-     * @param arr {number[]}
-     * @return {number}
-     */
-    static getMin(arr) {
-        return(arr.reduce((a,b)=>Math.min(a,b)));
-    }
-
-    /**
-     * Find the maximum value in arr[]
-     * @param arr {number[]}
-     * @return {number}
-     */
-    static getMax(arr) {
-        return(arr.reduce((a,b)=>Math.max(a,b)));
-    }
-
-    /**
-     * Add val to each element of arr
-     * @param arr {number[]}
-     * @param val {number}
-     * @return {number[]}
-     */
-    static add(arr, val) {
-        let newArr = [];
-        for(let i = 0; i < arr.length; i++)
-            newArr[i] = arr[i] + val;
-        return newArr;
-    }
-
-    /**
-     * Return the sum of elements in arr
-     * @param arr {number[]}
-     * @return {number}
-     */
-    static sum(arr) {
-        let total = 0;
-        for(let i = 0; i < arr.length; i++)
-            total += arr[i];
-        return total;
-    }
-}
-
 export {Distribution};
\ No newline at end of file
@@ -0,0 +1,1188 @@
+"use strict";
+
+import {utils} from "./utils.js";
+import {PayoutRules} from "./payoutRules.js";
+import {Families} from "./families.js";
+import {Scales} from "./scales.js";
+
+class DistributionModel {
+    /**
+     * @constructor
+     *
+     * DistributionModel holds the maths behind a Distribution without any reference to a canvas or the DOM,
+     * so it can be used in Node or a Web Worker (e.g. to recompute payouts from logged bets).
+     *
+     * A bet is a mode (bet.on) and a precision (bet.precision) giving the probability density at the mode.
+     * Precision values are mapped to the spread of a distribution family (by default the normal distribution,
+     * where the spread is the standard deviation), and the resulting curve can be adjusted so that the area under
+     * the curve is constant even where part of it falls off the x axis.
+     *
+     * @param args {{}}
+     * @param [args.xMin = 0] {number} - x axis minimum
+     * @param [args.xMax = 100] {number} - x axis maximum
+     * @param [args.xScale = 'linear'] {string} - scale of the x axis: 'linear', 'log10' (xMin and xMax above 0) or
+     * 'date' (x values are ms since 1970, and xMin and xMax may be Date objects or date strings). The x values are
+     * evenly spaced on the scale, and the curve's spread is measured on it (in days for dates). See Scales.
+     * @param [args.xPoints] {int} - number of steps between xMin and xMax, so the x axis has xPoints + 1 points.
+     * Defaults to steps of 1 (1 day for dates) where the axis spans a whole number of at least 10, and 100 steps
+     * otherwise, so an axis from 0 to 1 has points .00, .01, ... 1.00. Log10 axes default to 100 steps.
+     * @param [args.interpolateOutcomes = false] {boolean} - how outcomes falling between x values are scored:
+     * false snaps them to the nearest x value, true interpolates linearly between the two x values either side.
+     * Outcomes beyond the x axis score NaN.
+     * @param [args.reverseX = false] {boolean} - whether to reverse x axis labels
+     * @param [args.minPrecision = .0] {number} - minimum distribution precision (between 0 and 1)
+     * @param [args.maxPrecision = 1.0] {number} - maximum distribution precision (between 0 and 1)
+     * @param [args.minBet = .0] {number} - minimum bet amount allowed. Assigned to minPrecision.
+     * @param [args.maxBet = 1.0] {number} - maximum bet allowed. Assigned to maxPrecision.
+     * @param [args.minPayout = -Infinity] {number} - minimum payout on any round.
+     * @param [args.maxPayout = Infinity] {number} - maximum payout on any round.
+     * @param [args.scaleFactor = 10] {number} - factor by which to scale the curve width
+     *
+     * @param [args.constantAUC = true] {boolean} - whether to increase inbounds values where parts of
+     * the distribution are outside of the limits of the x axis.
+     * @param [args.aucMethod = 'proportional'] {string} - how constantAUC keeps the area constant:
+     * 'proportional' adds the out-of-range mass to each inbounds value in proportion to its size;
+     * 'truncated' renormalises the density over the x axis using the family's CDF (a truncated distribution).
+     *
+     * @param [args.mode = 'peak'] {string} - 'peak' for a single bet, 'mixture' for a weighted mixture of
+     * several bets (components), each with its own mode, precision and weight, 'interval' for a central
+     * credible interval from which the mode and precision are inferred (see setInterval), or 'histogram' for
+     * a budget of chips placed in bins along the x axis (see setChips).
+     * @param [args.maxComponents = 3] {int} - maximum number of components in mixture mode
+     * @param [args.intervalCoverage = .9] {number} - probability covered by the interval in interval mode
+     * @param [args.histogramBins = 10] {int} - number of bins in histogram mode
+     * @param [args.chips = 20] {int} - number of chips to place in histogram mode
+     *
+     * @param [args.family = 'normal'] {string|{}} - shape of the distribution. One of Families.names, or
+     * {name, ...params} for families with shape parameters, e.g. {name: 'studentT', df: 5}.
+     *
+     * @param [args.payoutRule = 'linear'] {string|{}} - scoring rule used to calculate payouts. One of
+     * PayoutRules.names, or a custom rule object (see PayoutRules).
+     * @param [args.payoutRuleScale = 1] {number} - payout per unit of score under the payout rule
+     * @param [args.payoutRuleOffset = 0] {number} - payout for a score of 0 under the payout rule
+     *
+     * @return {DistributionModel}
+     */
+    constructor(args = {}) {
+        return this.configure(args);
+    }
+
+    /**
+     * Set options from args (see constructor) and reset the axis, curve, bet and timings
+     * @param args {{}}
+     * @return {DistributionModel} - return self for chaining
+     */
+    configure(args) {
+        this.xScale = typeof args.xScale === "undefined"? 'linear' : args.xScale;
+        this.axisScale = Scales.get(this.xScale);
+        this.xMin = this.axisScale.parse(typeof args.xMin === "undefined"? 0 : args.xMin);
+        this.xMax = this.axisScale.parse(typeof args.xMax === "undefined"? 100 : args.xMax);
+        let low = this.toScale(this.xMin);
+        let high = this.toScale(this.xMax);
+        if(!isFinite(low) || !isFinite(high) || low === high)
+            throw new Error('xMin ' + this.xMin + ' and xMax ' + this.xMax + ' do not span a ' + this.axisScale.name +
+                ' axis');
+        this.xPoints = typeof args.xPoints !== "undefined"? args.xPoints : this.axisScale.defaultPoints(high - low);
+        if(!(Number.isInteger(this.xPoints) && this.xPoints >= 1))
+            throw new Error('xPoints must be a whole number of at least 1, not ' + this.xPoints);
+        this.interpolateOutcomes = typeof args.interpolateOutcomes === "undefined"? false : args.interpolateOutcomes;
+        this.reverseX = typeof args.reverseX === "undefined"? false : args.reverseX;
+        this.minPrecision = typeof args.minPrecision === "undefined"? .10 : args.minPrecision;
+        this.maxPrecision = typeof args.maxPrecision === "undefined"? .9 : args.maxPrecision;
+        this.minBet = typeof args.minBet === "undefined"? .10 : args.minBet;
+        this.maxBet = typeof args.maxBet === "undefined"? .90 : args.maxBet;
+        this.minPayout = typeof args.minPayout === "undefined"? -Infinity : args.minPayout;
+        this.maxPayout = typeof args.maxPayout === "undefined"? Infinity : args.maxPayout;
+        this.scaleFactor = typeof args.scaleFactor === "undefined"? 10 : args.scaleFactor;
+        this.payoutRule = typeof args.payoutRule === "undefined"? 'linear' : args.payoutRule;
+        this.payoutRuleScale = typeof args.payoutRuleScale === "undefined"? 1 : args.payoutRuleScale;
+        this.payoutRuleOffset = typeof args.payoutRuleOffset === "undefined"? 0 : args.payoutRuleOffset;
+        PayoutRules.get(this.payoutRule); // fail early on unknown rules
+        this.family = Families.get(typeof args.family === "undefined"? 'normal' : args.family);
+        this.mode = typeof args.mode === "undefined"? 'peak' : args.mode;
+        if(['peak', 'mixture', 'interval', 'histogram'].indexOf(this.mode) === -1)
+            throw new Error('Unknown mode "' + this.mode + '"; expected peak, mixture, interval or histogram');
+        this.maxComponents = typeof args.maxComponents === "undefined"? 3 : args.maxComponents;
+        this.intervalCoverage = typeof args.intervalCoverage === "undefined"? .9 : args.intervalCoverage;
+        if(!(this.intervalCoverage > 0 && this.intervalCoverage < 1))
+            throw new Error('intervalCoverage must be between 0 and 1');
+        this.histogramBins = typeof args.histogramBins === "undefined"? 10 : args.histogramBins;
+        this.chips = typeof args.chips === "undefined"? 20 : args.chips;
+
+        // cartesian coordinates: xScaled holds the evenly spaced positions of the x values on the axis scale
+        this.x = [];
+        this.xScaled = [];
+        let step = (high - low) / this.xPoints;
+        // values are rounded to drop floating point errors, e.g. .30000000000000004
+        for(let i = 0; i <= this.xPoints; i++) {
+            this.xScaled[i] = low + step * i;
+            this.x[i] = parseFloat(this.fromScale(this.xScaled[i]).toPrecision(12));
+        }
+        if(this.reverseX) {
+            this.x = this.x.reverse();
+            this.xScaled = this.xScaled.reverse();
+        }
+
+        this.precisionRaw = [];
+        this.precision = [];
+
+        // betting coordinates
+        this.bet = {
+            y: 0, // y coordinate
+            precision: 0, // precision of the bet
+            amount: this.minBet, // y in bet space
+            on: this.xMin + (this.xMax - this.xMin),
+            won: 0.0
+        };
+        if(this.mode === 'mixture') {
+            // bet.on, bet.index and bet.precision mirror the selected component
+            this.bet.components = [];
+            this.bet.component = -1;
+        }
+        if(this.mode === 'histogram') {
+            // bet.on and bet.index are the middle of the bin last changed; bet.precision is that bin's height
+            this.bet.chips = [];
+            for(let b = 0; b < this.histogramBins; b++)
+                this.bet.chips[b] = 0;
+        }
+
+        this.constantAUC = typeof args.constantAUC === "undefined"? true : args.constantAUC;
+        this.aucMethod = typeof args.aucMethod === "undefined"? 'proportional' : args.aucMethod;
+        if(['proportional', 'truncated'].indexOf(this.aucMethod) === -1)
+            throw new Error('Unknown aucMethod "' + this.aucMethod + '"; expected proportional or truncated');
+
+        if(this.constantAUC)
+            this.adjustedLimits = {
+                low: this.adjustForAUC(this.minPrecision),
+                high: this.adjustForAUC(this.maxPrecision)
+            };
+        else
+            this.adjustedLimits = {
+                low: null,
+                high: null
+            };
+
+        // timing of key events: start is the onset of the response, bet the last recorded sample
+        this.time = {
+            bet: -1,
+            start: new Date().getTime()
+        };
+
+        // samples of the response as it was made (see recordSample)
+        this.trajectory = [];
+
+        return this;
+    }
+
+    /**
+     * Names of the options which configure a model
+     * @return {string[]}
+     */
+    static get configKeys() {
+        return ['xMin', 'xMax', 'xScale', 'xPoints', 'interpolateOutcomes', 'reverseX', 'minPrecision', 'maxPrecision',
+            'minBet', 'maxBet', 'minPayout', 'maxPayout', 'scaleFactor', 'constantAUC', 'aucMethod', 'payoutRule',
+            'payoutRuleScale', 'payoutRuleOffset', 'family', 'mode', 'maxComponents', 'intervalCoverage',
+            'histogramBins', 'chips'];
+    }
+
+    /**
+     * Current value of each option in configKeys
+     * @return {{}}
+     */
+    get config() {
+        let config = {};
+        DistributionModel.configKeys.forEach((k)=>config[k] = this[k]);
+        return config;
+    }
+
+    /**
+     * Change some options in place, e.g. to give each trial its own axis. Options not in args keep their current
+     * values, except that xPoints is recalculated from a new xMin, xMax or xScale unless it is also given.
+     * The axis, AUC limits, curve, bet, timings and trajectory are all reset.
+     * @param [args = {}] {{}} options to change (see constructor)
+     * @return {DistributionModel} - return self for chaining
+     */
+    reconfigure(args = {}) {
+        let config = this.config;
+        if(['xMin', 'xMax', 'xScale'].some((k)=>typeof args[k] !== "undefined") && typeof args.xPoints === "undefined")
+            delete config.xPoints;
+        DistributionModel.configKeys.forEach((k)=>{
+            if(typeof args[k] !== "undefined")
+                config[k] = args[k];
+        });
+        return this.configure(config);
+    }
+
+    /**
+     * Avoids numerous recalculations of a square root
+     * @return {number} - Math.sqrt(2 * Math.PI)
+     */
+    static get root2pi() {
+        return 2.5066282746310002;
+    }
+
+    /**
+     * Return f(x) which is the frequency of x in the normal distribution
+     * @param x {number[]} base score
+     * @param mu {number} mean of the normal distribution
+     * @param sd {number} standard deviation of the normal distribution
+     * @return {number[]} resulting f(x) values
+     */
+    static f(x, mu, sd) {
+        return Families.normal().f(x, mu, sd);
+    }
+
+    /**
+     * Find the value z for which the sum of values in y is closest to 0
+     * @param y {number[]}
+     * @return {number}
+     */
+    static findIntercept(y) {
+        // This can probably just be -(mean of the y values)!
+        let error = Infinity;
+        let newError = Infinity;
+        let z = 0;
+        let yNew = [];
+        for(let i = utils.getMin(y);
+            i < utils.getMax(y);
+            i += (utils.getMax(y)-utils.getMin(y)) / y.length) {
+            yNew = utils.add(y, -i);
+            newError = Math.abs(utils.sum(yNew));
+            if(newError < error) {
+                error = newError;
+                z = i;
+            }
+        }
+        return z;
+    }
+
+    /**
+     * Return the constant area-under-curve adjusted y coordinates
+     * @param x {number} mean/modal x value
+     * @param xValues {number[]} x values
+     * @param yValues {number[]} precision values corresponding to x values
+     * @param [remainder] {number} out-of-range mass to redistribute. Defaults to the difference between the
+     * tails either side of x, which is only correct for symmetrical curves.
+     * @return {number[]} precision values adjusted for AUC
+     */
+    static adjustForConstantAUC(x, xValues, yValues, remainder) {
+        let yValuesNew = yValues;
+        if(typeof remainder === "undefined") {
+            // Remainder is the absolute difference of tail areas
+            remainder = 0;
+            for(let i = 0; i < xValues.length; i++) {
+                if(xValues[i] < x)
+                    remainder += yValues[i];
+                else if(xValues[i] > x)
+                    remainder -= yValues[i];
+            }
+            remainder = Math.abs(remainder);
+        }
+        if(remainder/xValues.length > 0) {
+            // increase each y value proportionately to its current value
+            let sum = utils.sum(yValues);
+            for(let i = 0; i < yValues.length; i++) {
+                yValuesNew[i] += remainder * (yValues[i] / sum);
+            }
+        }
+        return yValuesNew;
+    }
+
+    /**
+     * Generate the AUC adjusted peak precision values for the distribution's x values at a specified precision.
+     * The x values are evenly spaced, so a curve's values depend only on the distance from its mode: one curve
+     * (the kernel) centred on 0 serves every x value, and running totals of the kernel give the area of each
+     * curve either side of its mode without summing it afresh.
+     * @param precision {number} precision value for which to calculate the adjusted curve
+     * @return {number[]} precision values adjusted for constant area-under-curve
+     */
+    adjustForAUC(precision) {
+        let n = this.x.length;
+        let step = n > 1? this.xScaled[1] - this.xScaled[0] : 1;
+        let offsets = [];
+        for(let d = 0; d < 2 * n - 1; d++)
+            offsets[d] = (d - (n - 1)) * step;
+        let kernel = this.family.f(offsets, 0, this.getSD(precision));
+        let totals = [0];
+        for(let d = 0; d < kernel.length; d++)
+            totals[d + 1] = totals[d] + kernel[d];
+        // sum of the curve for x[i] over the x values at indices first to last
+        const sum = (i, first, last)=>totals[last - i + n] - totals[first - i + n - 1];
+
+        let peak = kernel[n - 1];
+        let out = [];
+        for(let i = 0; i < n; i++) {
+            if(this.aucMethod === 'truncated') {
+                out[i] = peak / this.inRangeProportion(this.x[i], precision);
+                continue;
+            }
+            // as adjustCurve: the peak grows in proportion to its share of the curve
+            let remainder = this.family.symmetric?
+                Math.abs(sum(i, 0, i - 1) - sum(i, i + 1, n - 1)) : this.tailMass(this.x[i], precision);
+            out[i] = remainder / n > 0? peak + remainder * peak / sum(i, 0, n - 1) : peak;
+        }
+        return out;
+    }
+
+    /**
+     * Return the unadjusted curve for a bet
+     * @param mu {number} x value of the curve's mode
+     * @param precision {number} precision of the bet
+     * @return {number[]} precision values for each x value
+     */
+    curve(mu, precision) {
+        return this.family.f(this.xScaled, this.toScale(mu), this.getSD(precision));
+    }
+
+    /**
+     * Adjust a curve so that any part of it falling outside the x axis is redistributed within it
+     * @param mu {number} x value of the curve's mode
+     * @param y {number[]} curve to adjust (modified in place)
+     * @param precision {number} precision of the bet
+     * @return {number[]} precision values adjusted for constant area-under-curve
+     */
+    adjustCurve(mu, y, precision) {
+        if(this.aucMethod === 'truncated') {
+            let z = this.inRangeProportion(mu, precision);
+            for(let i = 0; i < y.length; i++)
+                y[i] /= z;
+            return y;
+        }
+        if(this.family.symmetric)
+            return DistributionModel.adjustForConstantAUC(mu, this.x, y);
+        return DistributionModel.adjustForConstantAUC(mu, this.x, y, this.tailMass(mu, precision));
+    }
+
+    /**
+     * Return the proportion of the untruncated curve's area which lies on the x axis, taking each x value to
+     * cover half a step either side as the curve values do
+     * @param mu {number} x value of the curve's mode
+     * @param precision {number} precision of the bet
+     * @return {number}
+     */
+    inRangeProportion(mu, precision) {
+        let spread = this.getSD(precision);
+        let step = this.step;
+        let low = Math.min(this.xScaled[0], this.xScaled[this.x.length-1]) - step / 2;
+        let high = Math.max(this.xScaled[0], this.xScaled[this.x.length-1]) + step / 2;
+        mu = this.toScale(mu);
+        return this.family.cdf((high - mu) / spread) - this.family.cdf((low - mu) / spread);
+    }
+
+    /**
+     * Return the total of the curve values which fall beyond the ends of the x axis
+     * @param mu {number} x value of the curve's mode
+     * @param precision {number} precision of the bet
+     * @return {number}
+     */
+    tailMass(mu, precision) {
+        // curve values are densities, so their sum is the area divided by the step between x values
+        return (1 - this.inRangeProportion(mu, precision)) * this.family.area / this.step;
+    }
+
+    /**
+     * @return {number} Precision value at the extremes of x value and maxPrecision with AUC adjustment. In
+     * histogram mode, the height of every chip placed in the narrowest bin.
+     */
+    get maxPossiblePrecision() {
+        if(this.mode === 'histogram') {
+            // as updateHistogramPrecision: narrower bins are drawn taller
+            let minWidth = Infinity;
+            for(let b = 0; b < this.histogramBins; b++) {
+                let indices = this.binIndices(b);
+                minWidth = Math.min(minWidth, indices.last - indices.first + 1);
+            }
+            return this.chips * this.chipHeight * this.x.length / this.histogramBins / minWidth;
+        }
+        if(!this.constantAUC)
+            return this.maxPrecision;
+        let ends = this.family.symmetric? [this.x.length-1] : [0, this.x.length-1];
+        let max = -Infinity;
+        ends.forEach((i)=>max = Math.max(max, this.adjustedLimits.high[i] * this.scale));
+        return max;
+    }
+
+    get scale() {
+        // scale standard deviation and precision to x axis
+        return this.x.length * this.step / this.scaleFactor;
+    }
+
+    /**
+     * Distance between neighbouring x values on the axis scale
+     * @return {number}
+     */
+    get step() {
+        return Math.abs(this.toScale(this.xMax) - this.toScale(this.xMin)) / this.xPoints;
+    }
+
+    /**
+     * Position of an x value on the axis scale, e.g. its log10 on a log10 axis
+     * @param value {number}
+     * @return {number}
+     */
+    toScale(value) {
+        return this.axisScale.toScale(value);
+    }
+
+    /**
+     * x value at a position on the axis scale
+     * @param position {number}
+     * @return {number}
+     */
+    fromScale(position) {
+        return this.axisScale.fromScale(position);
+    }
+
+    /**
+     * Number of decimal places needed to show the x values of a linear axis exactly, e.g. 2 for an axis from 0 to 1
+     * in steps of .01
+     * @return {int}
+     */
+    get decimals() {
+        return Scales.decimals(this.xMin, this.step);
+    }
+
+    /**
+     * Return the spread (standard deviation for the normal family) required to peak at a given precision value
+     * @param [precision] {number} precision value at which to peak. Defaults to the current bet precision.
+     * @return {number} spread of the distribution, measured on the axis scale
+     */
+    getSD(precision) {
+        if(typeof precision ===  "undefined")
+            precision = this.bet.precision;
+
+        // spread has to be such that the highest y value should be the precision specified by the user
+        // This can be obtained by rearranging the family's density formula for x = mode(x)
+        return this.family.peakDensity * this.scale / precision;
+    }
+
+    /**
+     * Return the peak of the AUC adjusted curve for the current bet at a given precision
+     * @param precision {number} precision of the bet
+     * @return {number} precision at the peak after adjustment
+     */
+    adjustedPeak(precision) {
+        if(this.aucMethod === 'truncated')
+            return precision / this.inRangeProportion(this.bet.on, precision);
+        let y = this.adjustCurve(this.bet.on, this.curve(this.bet.on, precision), precision);
+        return y[this.bet.index] * this.scale;
+    }
+
+    /**
+     * Find the precision whose AUC adjusted curve peaks at targetPrecision for the current bet.
+     * Adjustment scales the peak up by a factor which changes slowly with precision, so dividing the target by
+     * the latest factor usually lands within maxError in two or three steps. The answer lies between 0 and
+     * targetPrecision, and each step narrows that range. Where a step would leave the range, or is not at most
+     * half the size of the step before it, the range is bisected instead so that the search always converges.
+     * @param targetPrecision {number} desired precision at the peak after adjustment
+     * @param [maxError = 0.00001] {number} acceptable difference between the result's peak and the target
+     * @param [maxCycles = 1000] {int} maximum number of search steps
+     * @return {number} precision
+     */
+    findPrecisionWhichAdjustsTo(targetPrecision, maxError = 0.00001, maxCycles = 1000) {
+        let low = 0;
+        let high = targetPrecision;
+        let precision = targetPrecision;
+        let step = Infinity;
+        let cycles = 0;
+        while(cycles++ < maxCycles) {
+            let peak = this.adjustedPeak(precision);
+            if(Math.abs(peak - targetPrecision) < maxError)
+                return precision;
+            if(peak < targetPrecision)
+                low = precision;
+            else
+                high = precision;
+            if(high - low < maxError)
+                break;
+            let next = precision * targetPrecision / peak;
+            if(!(next > low && next < high) || Math.abs(next - precision) > step / 2)
+                next = (low + high) / 2;
+            step = Math.abs(next - precision);
+            precision = next;
+        }
+        // targets below the peak of an infinitely wide adjusted curve resolve to a precision near 0: the widest curve
+        return high;
+    }
+
+    /**
+     * Place a bet on the x value at index with a given peak precision
+     * @param index {int} index of this.x on which to bet
+     * @param precision {number} desired precision at the peak of the curve (after any AUC adjustment)
+     * @param [adjusted = true] {boolean} whether precision is the peak after AUC adjustment (as read off the
+     * display) rather than the bet's own precision
+     * @return {DistributionModel} - return self for chaining
+     */
+    updateBet(index, precision, adjusted = true) {
+        this.bet.index = index;
+        this.bet.on = this.x[this.bet.index];
+        this.bet.precision = precision;
+
+        if(this.constantAUC && adjusted) {
+            this.bet.precision = this.findPrecisionWhichAdjustsTo(this.bet.precision);
+        }
+
+        // Clamp by allowed precision range
+        this.bet.precision = this.bet.precision < this.minPrecision?
+            this.minPrecision : this.bet.precision > this.maxPrecision?
+                this.maxPrecision : this.bet.precision;
+
+        // desired bet amount is proportion of the betting space available
+        this.bet.amount = this.precisionToPayout(this.bet.precision);
+        this.bet.time = new Date().getTime();
+
+        if(this.mode === 'interval')
+            this.bet.interval = this.intervalFor(this.bet.on, this.bet.precision);
+
+        if(this.mode === 'mixture' && this.bet.component >= 0) {
+            let component = this.bet.components[this.bet.component];
+            component.on = this.bet.on;
+            component.index = this.bet.index;
+            component.precision = this.bet.precision;
+        }
+
+        return this;
+    }
+
+    /**
+     * Return the position of value along this.x as a fractional index, e.g. 2.5 for a value halfway between
+     * this.x[2] and this.x[3] on the axis scale
+     * @param value {number}
+     * @param [limit = false] {boolean} whether to limit values beyond the axis to its ends rather than return NaN
+     * @return {number} between 0 and x.length - 1, or NaN for values beyond the axis unless limit is set
+     */
+    fractionalIndex(value, limit = false) {
+        if(this.x.length < 2)
+            return 0;
+        let index = (this.toScale(value) - this.xScaled[0]) / (this.xScaled[1] - this.xScaled[0]);
+        let last = this.x.length - 1;
+        // allow for rounding error in the scale at the ends of the axis
+        if(!limit && (index < -1e-9 || index > last + 1e-9))
+            return NaN;
+        return index < 0? 0 : index > last? last : index;
+    }
+
+    /**
+     * Return the index of the x value nearest to value. Values beyond the axis are limited to its ends.
+     * @param value {number}
+     * @return {int} index of this.x
+     */
+    nearestIndex(value) {
+        return Math.round(this.fractionalIndex(value, true));
+    }
+
+    /**
+     * Evaluate a function of an x index for an outcome which may fall between x values: at the nearest x value,
+     * or interpolated between the x values either side if interpolateOutcomes is set
+     * @param value {number} outcome
+     * @param fn {function} called with an index of this.x, returning a number
+     * @return {number} NaN if value is beyond the x axis
+     */
+    atOutcome(value, fn) {
+        let index = this.fractionalIndex(value);
+        if(isNaN(index))
+            return NaN;
+        if(!this.interpolateOutcomes)
+            return fn(Math.round(index));
+        let below = Math.floor(index);
+        let t = index - below;
+        if(t === 0)
+            return fn(below);
+        return fn(below) * (1 - t) + fn(below + 1) * t;
+    }
+
+    /**
+     * Return z such that a proportion q of the family's curve lies below mu + z * spread
+     * @param q {number} between 0 and 1
+     * @return {number}
+     */
+    familyQuantile(q) {
+        let low = -1;
+        let high = 1;
+        while(this.family.cdf(low) > q)
+            low *= 2;
+        while(this.family.cdf(high) < q)
+            high *= 2;
+        for(let i = 0; i < 60 && high - low > 1e-9; i++) {
+            let mid = (low + high) / 2;
+            if(this.family.cdf(mid) < q)
+                low = mid;
+            else
+                high = mid;
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Central interval covering intervalCoverage of the curve with its mode at mu, before any AUC adjustment
+     * @param mu {number} x value of the curve's mode
+     * @param precision {number} precision of the curve
+     * @return {{lower: number, upper: number}}
+     */
+    intervalFor(mu, precision) {
+        let spread = this.getSD(precision);
+        mu = this.toScale(mu);
+        return {
+            lower: this.fromScale(mu + this.familyQuantile((1 - this.intervalCoverage) / 2) * spread),
+            upper: this.fromScale(mu + this.familyQuantile((1 + this.intervalCoverage) / 2) * spread)
+        };
+    }
+
+    /**
+     * Place a bet given as a central interval covering intervalCoverage of the curve.
+     * The mode and spread of the family which fit the interval are found, and the resulting precision is clamped
+     * to [minPrecision, maxPrecision] as for any bet, so bet.interval holds the interval actually bet on.
+     * @param lower {number} lower bound of the interval (x value)
+     * @param upper {number} upper bound of the interval (x value)
+     * @return {DistributionModel} - return self for chaining
+     */
+    setInterval(lower, upper) {
+        if(lower > upper) {
+            let temp = lower;
+            lower = upper;
+            upper = temp;
+        }
+        lower = this.toScale(lower);
+        upper = this.toScale(upper);
+        let zLow = this.familyQuantile((1 - this.intervalCoverage) / 2);
+        let zHigh = this.familyQuantile((1 + this.intervalCoverage) / 2);
+        let spread = Math.max(upper - lower, Number.EPSILON) / (zHigh - zLow);
+        let mu = this.fromScale(lower - zLow * spread);
+        return this.updateBet(this.nearestIndex(mu), this.family.peakDensity * this.scale / spread, false);
+    }
+
+    /**
+     * Return the histogram bin containing an x index
+     * @param index {int} index of this.x
+     * @return {int}
+     */
+    binOf(index) {
+        return Math.min(this.histogramBins - 1, Math.floor(index * this.histogramBins / this.x.length));
+    }
+
+    /**
+     * Return the first and last x indices in a histogram bin
+     * @param bin {int}
+     * @return {{first: int, last: int}}
+     */
+    binIndices(bin) {
+        return {
+            first: Math.ceil(bin * this.x.length / this.histogramBins),
+            last: Math.ceil((bin + 1) * this.x.length / this.histogramBins) - 1
+        };
+    }
+
+    /**
+     * Number of chips not yet placed in histogram mode
+     * @return {int}
+     */
+    get chipsRemaining() {
+        return this.chips - utils.sum(this.bet.chips);
+    }
+
+    /**
+     * Height of one chip in precision units. A bin holding every chip is maxPrecision high.
+     * @return {number}
+     */
+    get chipHeight() {
+        return this.maxPrecision / this.chips;
+    }
+
+    /**
+     * Set the number of chips in a histogram bin, limited by the chips remaining
+     * @param bin {int} index of the bin
+     * @param chips {int} number of chips, rounded to a whole number
+     * @return {DistributionModel} - return self for chaining
+     */
+    setChips(bin, chips) {
+        if(this.mode !== 'histogram')
+            throw new Error('setChips requires histogram mode');
+        let max = this.bet.chips[bin] + this.chipsRemaining;
+        chips = Math.round(chips);
+        this.bet.chips[bin] = chips < 0? 0 : chips > max? max : chips;
+
+        let indices = this.binIndices(bin);
+        this.bet.index = Math.floor((indices.first + indices.last) / 2);
+        this.bet.on = this.x[this.bet.index];
+        this.bet.precision = this.bet.chips[bin] * this.chipHeight;
+        this.bet.amount = this.precisionToPayout(this.bet.precision);
+        this.bet.time = new Date().getTime();
+        return this;
+    }
+
+    /**
+     * Spread each bin's chips evenly over its x values. Bins are drawn at their share of maxPrecision
+     * (see chipHeight), adjusted for bins with more or fewer x values than average so that probabilities are
+     * in proportion to the chips.
+     * @return {DistributionModel} - return self for chaining
+     */
+    updateHistogramPrecision() {
+        let meanWidth = this.x.length / this.histogramBins;
+        this.precision = [];
+        for(let b = 0; b < this.histogramBins; b++) {
+            let indices = this.binIndices(b);
+            let width = indices.last - indices.first + 1;
+            for(let i = indices.first; i <= indices.last; i++)
+                this.precision[i] = this.bet.chips[b] * this.chipHeight * meanWidth / width / this.scale;
+        }
+        this.precisionRaw = this.precision;
+        return this;
+    }
+
+    /**
+     * Place a bet directly. Values are validated and then clamped as for bets placed with the cursor:
+     * on is snapped to the nearest x value and precision is clamped to [minPrecision, maxPrecision].
+     * @param bet {{on: number, precision: number}|{components: {on: number, precision: number, weight: number}[]}|
+     * {lower: number, upper: number}|{chips: int[]}} bet to place. precision is the bet's own precision
+     * (bet.precision, as returned by getBet), not the AUC-adjusted peak. In mixture mode, pass components to
+     * replace all components.
+     * In interval mode, pass lower and upper instead of on and precision to bet on an interval (see setInterval).
+     * In histogram mode, pass chips to set the number of chips in every bin.
+     * @return {DistributionModel} - return self for chaining
+     */
+    setBet(bet) {
+        const check = (value, name)=>{
+            if(typeof value !== "number" || !isFinite(value))
+                throw new Error('setBet requires a finite number for ' + name + ', not ' + value);
+            return value;
+        };
+        if(typeof bet !== "object" || bet === null)
+            throw new Error('setBet requires a bet object');
+
+        if(this.mode === 'mixture' && typeof bet.components !== "undefined") {
+            if(!Array.isArray(bet.components) || bet.components.length > this.maxComponents)
+                throw new Error('setBet requires an array of at most ' + this.maxComponents + ' components');
+            this.bet.components = [];
+            this.selectComponent(-1);
+            bet.components.forEach((c, k)=>{
+                let weight = typeof c.weight === "undefined"? 1 : check(c.weight, 'components[' + k + '].weight');
+                this.addComponent(this.nearestIndex(check(c.on, 'components[' + k + '].on')),
+                    check(c.precision, 'components[' + k + '].precision'), weight, false);
+                this.setComponentWeight(k, weight);
+            });
+            return this.updatePrecision();
+        }
+
+        if(this.mode === 'histogram' && typeof bet.chips !== "undefined") {
+            if(!Array.isArray(bet.chips) || bet.chips.length !== this.histogramBins)
+                throw new Error('setBet requires an array of ' + this.histogramBins + ' chip counts');
+            this.bet.chips = this.bet.chips.map(()=>0);
+            bet.chips.forEach((n, b)=>this.setChips(b, check(n, 'chips[' + b + ']')));
+            if(typeof bet.on !== "undefined") {
+                // keep the bin last changed as the current bet
+                let bin = this.binOf(this.nearestIndex(check(bet.on, 'on')));
+                this.setChips(bin, this.bet.chips[bin]);
+            }
+            return this.updatePrecision();
+        }
+
+        if(this.mode === 'interval' && typeof bet.on === "undefined")
+            return this.setInterval(check(bet.lower, 'lower'), check(bet.upper, 'upper')).updatePrecision();
+
+        let index = this.nearestIndex(check(bet.on, 'on'));
+        let precision = check(bet.precision, 'precision');
+        if(this.mode === 'mixture' && this.bet.component === -1)
+            this.addComponent(index, precision, 1, false);
+        else
+            this.updateBet(index, precision, false);
+        return this.updatePrecision();
+    }
+
+    /**
+     * Return the current bet in the form accepted by setBet. In interval and histogram modes the interval or
+     * chips are included too.
+     * @return {{on: number, precision: number}|null} null if no bet has been placed
+     */
+    getBet() {
+        if(typeof this.bet.index === "undefined")
+            return null;
+        let out = {on: this.bet.on, precision: this.bet.precision};
+        if(this.mode === 'mixture')
+            out.components = this.bet.components.map((c)=>({on: c.on, precision: c.precision, weight: c.weight}));
+        if(this.mode === 'interval')
+            out.interval = Object.assign({}, this.bet.interval);
+        if(this.mode === 'histogram')
+            out.chips = this.bet.chips.slice();
+        return out;
+    }
+
+    /**
+     * Record the current bet as a sample in the response trajectory.
+     * Call after the curve has been updated (updatePrecision) so that the payout is current.
+     * @param [source = 'set'] {string} what produced the sample, e.g. the event type ('pointerdown',
+     * 'pointermove', 'keydown'). Samples from 'pointermove' continue the current revision; any other source
+     * starts a new one.
+     * @return {DistributionModel} - return self for chaining
+     */
+    recordSample(source = 'set') {
+        let now = new Date().getTime();
+        let sample = {
+            t: now - this.time.start,
+            source,
+            on: this.bet.on,
+            precision: this.bet.precision,
+            payout: typeof this.bet.index === "undefined"? NaN : this.payoutAt(this.bet.index)
+        };
+        if(this.mode === 'mixture')
+            sample.components = this.bet.components.map((c)=>({on: c.on, precision: c.precision, weight: c.weight}));
+        if(this.mode === 'histogram')
+            sample.chips = this.bet.chips.slice();
+        this.trajectory.push(sample);
+        this.time.bet = now;
+        return this;
+    }
+
+    /**
+     * Summary measures of the response trajectory, in milliseconds from the onset of the response (time.start)
+     * * samples - number of samples recorded
+     * * firstResponseLatency - time of the first sample
+     * * responseTime - time of the last sample
+     * * deliberationTime - time between the first and last samples
+     * * revisions - number of times the response was changed after the first click or key press
+     * Times are null if no samples have been recorded.
+     * @return {{samples: int, firstResponseLatency: number|null, responseTime: number|null,
+     * deliberationTime: number|null, revisions: int}}
+     */
+    get trajectoryMetrics() {
+        let n = this.trajectory.length;
+        if(n === 0)
+            return {samples: 0, firstResponseLatency: null, responseTime: null, deliberationTime: null, revisions: 0};
+        let starts = this.trajectory.filter((s, i)=>i === 0 || s.source !== 'pointermove').length;
+        return {
+            samples: n,
+            firstResponseLatency: this.trajectory[0].t,
+            responseTime: this.trajectory[n-1].t,
+            deliberationTime: this.trajectory[n-1].t - this.trajectory[0].t,
+            revisions: starts - 1
+        };
+    }
+
+    /**
+     * Version of the format produced by toJSON
+     * @return {int}
+     */
+    static get jsonVersion() {
+        return 1;
+    }
+
+    /**
+     * Form in which an option given as a name or an object from a registry (e.g. Families) is serialised: the name
+     * of a registered object, or {name, custom: true} for a custom object, which cannot be rebuilt from JSON and so
+     * must be passed to fromJSON again
+     * @param value {string|{name: string}}
+     * @param names {string[]} names in the registry
+     * @return {string|{name: string|null, custom: boolean}}
+     */
+    static serialisedOption(value, names) {
+        let name = typeof value === "object" && value !== null? value.name : value;
+        if(names.indexOf(name) !== -1)
+            return name;
+        return {name: typeof name === "undefined"? null : name, custom: true};
+    }
+
+    /**
+     * Check that no option is still a custom object placeholder written by toJSON (see serialisedOption)
+     * @param options {{}} options, e.g. constructor arguments or a style
+     * @throws {Error} naming the first option which must be supplied again
+     */
+    static checkCustomOptions(options) {
+        Object.keys(options).forEach((k)=>{
+            let v = options[k];
+            if(typeof v === "object" && v !== null && v.custom === true)
+                throw new Error('The ' + k + ' option was the custom object "' + v.name + '", which cannot be ' +
+                    'restored from JSON; pass it again in the arguments to fromJSON');
+        });
+    }
+
+    /**
+     * Serialise the model's config, current bet, timings and response trajectory.
+     * Payout rules, families and scales are stored by their registered names (with any family parameters).
+     * Custom objects are stored as placeholders (see serialisedOption) and must be passed to fromJSON again.
+     * metrics (see trajectoryMetrics) are included for convenience and are recalculated from the trajectory
+     * when restoring.
+     * @return {{version: int, config: {}, bet: {}|null, time: {}, trajectory: {}[], metrics: {}}}
+     */
+    toJSON() {
+        let config = this.config;
+        config.payoutRule = DistributionModel.serialisedOption(this.payoutRule, PayoutRules.names);
+        config.family = DistributionModel.serialisedOption(this.family, Families.names);
+        if(typeof config.family === "string")
+            config.family = Object.assign({name: config.family}, this.family.params);
+        config.xScale = DistributionModel.serialisedOption(this.xScale, Scales.names);
+
+        let bet = this.getBet();
+        if(bet !== null)
+            bet.won = this.bet.won;
+
+        return {
+            version: DistributionModel.jsonVersion,
+            config,
+            bet,
+            time: Object.assign({}, this.time),
+            trajectory: this.trajectory.map((sample)=>Object.assign({}, sample)),
+            metrics: this.trajectoryMetrics
+        };
+    }
+
+    /**
+     * Parse and check serialised output of toJSON.
+     * Non-finite numbers become null in JSON, so null config values are dropped to restore their defaults.
+     * @param json {{}|string}
+     * @return {{version: int, config: {}, bet: {}|null, time: {}}}
+     */
+    static parseJSON(json) {
+        if(typeof json === "string")
+            json = JSON.parse(json);
+        if(typeof json !== "object" || json === null || typeof json.config !== "object")
+            throw new Error('Serialised distribution requires a config object');
+        if(!(json.version <= DistributionModel.jsonVersion))
+            throw new Error('Cannot read serialised distribution version ' + json.version +
+                '; expected version ' + DistributionModel.jsonVersion + ' or lower');
+        let config = {};
+        Object.keys(json.config).forEach((k)=>{
+            if(json.config[k] !== null)
+                config[k] = json.config[k];
+        });
+        return Object.assign({}, json, {config});
+    }
+
+    /**
+     * Create a DistributionModel from the output of toJSON
+     * @param json {{}|string} serialised model
+     * @param [args = {}] {{}} constructor arguments to add or override. Custom payout rule, family and scale
+     * objects must be given again here.
+     * @return {DistributionModel}
+     * @throws {Error} if a custom object stored as a placeholder is not given in args
+     */
+    static fromJSON(json, args = {}) {
+        json = DistributionModel.parseJSON(json);
+        let config = Object.assign({}, json.config, args);
+        DistributionModel.checkCustomOptions(config);
+        return new DistributionModel(config).restoreState(json);
+    }
+
+    /**
+     * Restore the bet, timings and response trajectory from the output of toJSON
+     * @param json {{bet: {}|null, time: {}, trajectory: {}[]}}
+     * @return {DistributionModel} - return self for chaining
+     */
+    restoreState(json) {
+        if(typeof json.bet === "object" && json.bet !== null) {
+            this.setBet(json.bet);
+            if(typeof json.bet.won === "number")
+                this.bet.won = json.bet.won;
+        }
+        if(typeof json.time === "object" && json.time !== null)
+            Object.assign(this.time, json.time);
+        if(Array.isArray(json.trajectory))
+            this.trajectory = json.trajectory.map((sample)=>Object.assign({}, sample));
+        return this;
+    }
+
+    /**
+     * Add a component to a mixture and select it
+     * @param index {int} index of this.x on which to bet
+     * @param precision {number} desired precision at the peak of the component (after any AUC adjustment)
+     * @param [weight = 1] {number} relative weight of the component
+     * @param [adjusted = true] {boolean} whether precision is the peak after AUC adjustment (see updateBet)
+     * @return {DistributionModel} - return self for chaining
+     */
+    addComponent(index, precision, weight = 1, adjusted = true) {
+        if(this.mode !== 'mixture')
+            throw new Error('addComponent requires mixture mode');
+        if(this.bet.components.length >= this.maxComponents)
+            return this;
+        this.bet.components.push({on: this.x[index], index, precision, weight});
+        this.bet.component = this.bet.components.length - 1;
+        return this.updateBet(index, precision, adjusted);
+    }
+
+    /**
+     * Remove a component from a mixture. The last remaining component is selected afterwards.
+     * @param component {int} index of bet.components to remove
+     * @return {DistributionModel} - return self for chaining
+     */
+    removeComponent(component) {
+        if(this.mode !== 'mixture' || typeof this.bet.components[component] === "undefined")
+            return this;
+        this.bet.components.splice(component, 1);
+        return this.selectComponent(this.bet.components.length - 1);
+    }
+
+    /**
+     * Select a mixture component so that updateBet changes it
+     * @param component {int} index of bet.components
+     * @return {DistributionModel} - return self for chaining
+     */
+    selectComponent(component) {
+        this.bet.component = component;
+        if(component >= 0) {
+            this.bet.on = this.bet.components[component].on;
+            this.bet.index = this.bet.components[component].index;
+            this.bet.precision = this.bet.components[component].precision;
+            this.bet.amount = this.precisionToPayout(this.bet.precision);
+        }
+        return this;
+    }
+
+    /**
+     * Set the relative weight of a mixture component
+     * @param component {int} index of bet.components
+     * @param weight {number} relative weight, clamped to between .1 and 10
+     * @return {DistributionModel} - return self for chaining
+     */
+    setComponentWeight(component, weight) {
+        if(this.mode !== 'mixture' || typeof this.bet.components[component] === "undefined")
+            return this;
+        this.bet.components[component].weight = weight < .1? .1 : weight > 10? 10 : weight;
+        return this;
+    }
+
+    /**
+     * Proportion of the mixture contributed by a component
+     * @param component {int} index of bet.components
+     * @return {number}
+     */
+    componentShare(component) {
+        let total = 0;
+        this.bet.components.forEach((c)=>total += c.weight);
+        return this.bet.components[component].weight / total;
+    }
+
+    /**
+     * Generate new precision values for the current bet's mean and precision
+     *
+     * @return DistributionModel - return self for chaining
+     */
+    updatePrecision() {
+        if(this.mode === 'mixture')
+            return this.updateMixturePrecision();
+        if(this.mode === 'histogram')
+            return this.updateHistogramPrecision();
+
+        // Calculate the y values
+        this.precisionRaw = this.curve(this.bet.on, this.bet.precision);
+
+        // Adjust y values for cases where the distribution has portions which are out-of-range
+        if(this.constantAUC)
+            this.precision = this.adjustCurve(this.bet.on, this.precisionRaw, this.bet.precision);
+        else
+            this.precision = this.precisionRaw;
+
+        return this;
+    }
+
+    /**
+     * Generate new precision values as the weighted mixture of each component's curve.
+     * Each component is adjusted for AUC separately, so the mixture keeps the same total area.
+     * The adjusted curve of each component is kept in componentPrecision.
+     *
+     * @return DistributionModel - return self for chaining
+     */
+    updateMixturePrecision() {
+        this.precisionRaw = [];
+        this.precision = [];
+        this.componentPrecision = [];
+        for(let i = 0; i < this.x.length; i++) {
+            this.precisionRaw[i] = 0;
+            this.precision[i] = 0;
+        }
+        this.bet.components.forEach((c, k)=>{
+            let share = this.componentShare(k);
+            let raw = this.curve(c.on, c.precision);
+            for(let i = 0; i < raw.length; i++)
+                this.precisionRaw[i] += raw[i] * share;
+            let adjusted = this.constantAUC? this.adjustCurve(c.on, raw, c.precision) : raw;
+            for(let i = 0; i < adjusted.length; i++)
+                this.precision[i] += adjusted[i] * share;
+            this.componentPrecision[k] = adjusted;
+        });
+        return this;
+    }
+
+    /**
+     * Return a precision value as a payout value.
+     * Payouts rise linearly from minBet at minPrecision to maxBet at maxPrecision.
+     * @param precision {number} precision (curve height) to convert
+     * @param capByPayoutLimits {boolean} whether to allow values above maxPayout or below minPayout
+     * @return {number} payout value
+     */
+    precisionToPayout(precision, capByPayoutLimits = true) {
+        let out = this.minBet +
+            (precision - this.minPrecision) * (this.maxBet - this.minBet) / (this.maxPrecision - this.minPrecision);
+        if(!capByPayoutLimits)
+            return out;
+        return out < this.minPayout? this.minPayout : out > this.maxPayout? this.maxPayout : out;
+    }
+
+    /**
+     * The payout rule object for payoutRule
+     * @return {{name: string, local: boolean, score: function, scoreHeight: function}}
+     */
+    get rule() {
+        return PayoutRules.get(this.payoutRule);
+    }
+
+    /**
+     * Current curve normalised to a probability mass for each x value
+     * @return {number[]}
+     */
+    get probabilities() {
+        let sum = utils.sum(this.precision);
+        let out = [];
+        for(let i = 0; i < this.precision.length; i++)
+            out[i] = this.precision[i] / sum;
+        return out;
+    }
+
+    /**
+     * Convert a score under the payout rule to a payout value
+     * @param score {number} score
+     * @param capByPayoutLimits {boolean} whether to allow values above maxPayout or below minPayout
+     * @return {number} payout value
+     */
+    scoreToPayout(score, capByPayoutLimits = true) {
+        let out = this.payoutRuleOffset + this.payoutRuleScale * score;
+        if(!capByPayoutLimits)
+            return out;
+        return out < this.minPayout? this.minPayout : out > this.maxPayout? this.maxPayout : out;
+    }
+
+    /**
+     * Return the payout for the current curve if the answer is the x value at index
+     * @param index {int} index of this.x
+     * @param capByPayoutLimits {boolean} whether to allow values above maxPayout or below minPayout
+     * @return {number} payout value
+     */
+    payoutAt(index, capByPayoutLimits = true) {
+        if(typeof this.precision[index] === "undefined")
+            return NaN;
+        return this.scoreToPayout(this.rule.score(this, index), capByPayoutLimits);
+    }
+
+    /**
+     * Return the payout a curve height would earn on the current curve.
+     * Only possible for local payout rules; other rules return NaN.
+     * @param height {number} curve height in precision units
+     * @param capByPayoutLimits {boolean} whether to allow values above maxPayout or below minPayout
+     * @return {number} payout value
+     */
+    heightToPayout(height, capByPayoutLimits = true) {
+        if(!this.rule.local)
+            return NaN;
+        return this.scoreToPayout(this.rule.scoreHeight(this, height), capByPayoutLimits);
+    }
+
+    /**
+     * Return the payout for the current bet if the answer is result. Answers between x values are snapped or
+     * interpolated (see atOutcome).
+     * @param result {number} correct answer
+     * @param capByPayoutLimits {boolean} whether to allow values above maxPayout or below minPayout
+     * @return {number} payout value, or NaN if result is beyond the x axis
+     */
+    payoutFor(result, capByPayoutLimits = true) {
+        return this.atOutcome(result, (index)=>this.payoutAt(index, capByPayoutLimits));
+    }
+}
+
+export {DistributionModel};
@@ -0,0 +1,211 @@
+"use strict";
+
+import {DistributionModel} from "./distributionModel.js";
+import {Random} from "./random.js";
+
+/**
+ * Export turns Session trial records into tidy CSV (one row per trial) or nested JSON.
+ *
+ * The CSV columns are fixed by Export.columns and versioned by Export.schemaVersion: columns are only ever added
+ * at the end, and any change to the columns, including adding one, increases the version.
+ * Missing values are written as empty cells (read as NA by R).
+ *
+ * Records of trials which used custom payout rule, family or scale objects are rebuilt with those objects passed
+ * again as objects (see DistributionModel.fromJSON). Records which hold only the bet (see Session.showResult) leave
+ * the other columns empty.
+ */
+class Export {
+    /**
+     * Version of the column schema
+     * @return {int}
+     */
+    static get schemaVersion() {
+        return 3;
+    }
+
+    /**
+     * The CSV columns, in order. Each column has a name, a description, and a value(record, model) function
+     * where model is the DistributionModel rebuilt from the record, or null if the record holds only the bet.
+     *
+     * @return {{name: string, description: string, value: function}[]}
+     */
+    static get columns() {
+        const value = (v)=>typeof v === "undefined"? null : v;
+        const question = (r, k)=>typeof r.question === "object" && r.question !== null? value(r.question[k]) : null;
+        const metric = (k)=>(r)=>typeof r.metrics === "object"? value(r.metrics[k]) : null;
+        const time = (t)=>typeof t === "number" && t > 0? new Date(t).toISOString() : null;
+        const config = (k)=>(r)=>typeof r.config === "object"? value(r.config[k]) : null;
+        const model = (f)=>(r, m)=>m === null? null : f(r, m);
+        return [
+            {name: 'schema_version', description: 'version of this column schema',
+                value: ()=>Export.schemaVersion},
+            {name: 'session_seed', description: 'seed of the session random number generator',
+                value: (r)=>value(r.seed)},
+            {name: 'trial', description: 'trial number within the session, counting from 1',
+                value: (r)=>value(r.trial)},
+            {name: 'question_id', description: 'position of the question in its question bank, counting from 0',
+                value: (r)=>question(r, 'id')},
+            {name: 'question_topic', description: 'topic of the question',
+                value: (r)=>question(r, 'topic')},
+            {name: 'outcome', description: 'correct answer (x value)',
+                value: (r)=>value(r.answer)},
+            {name: 'units', description: 'units of the x axis',
+                value: config('units')},
+            {name: 'x_min', description: 'x axis minimum',
+                value: model((r, m)=>m.xMin)},
+            {name: 'x_max', description: 'x axis maximum',
+                value: model((r, m)=>m.xMax)},
+            {name: 'mode', description: "elicitation mode: 'peak', 'mixture', 'interval' or 'histogram'",
+                value: model((r, m)=>m.mode)},
+            {name: 'family', description: 'distribution family, with any parameters as JSON',
+                value: (r)=>Export.familyName(config('family')(r))},
+            {name: 'bet_on', description: 'x value bet on (the selected component in mixture mode)',
+                value: (r)=>r.bet === null? null : r.bet.on},
+            {name: 'bet_precision', description: 'precision of the bet before any AUC adjustment',
+                value: (r)=>r.bet === null? null : r.bet.precision},
+            {name: 'bet_sd', description: 'spread of the distribution family for the bet on the x axis scale ' +
+                    '(see getSD), empty in histogram mode',
+                value: model((r, m)=>r.bet === null || m.mode === 'histogram'? null : m.getSD(r.bet.precision))},
+            {name: 'bet_components', description: 'mixture components [{on, precision, weight}] as JSON',
+                value: (r)=>r.bet === null || typeof r.bet.components === "undefined"?
+                    null : JSON.stringify(r.bet.components)},
+            {name: 'payout_rule', description: 'name of the payout rule',
+                value: (r)=>Export.optionName(config('payoutRule')(r))},
+            {name: 'payout', description: 'payout awarded for the trial',
+                value: (r)=>r.bet === null? null : r.bet.won},
+            {name: 'time_start', description: 'onset of the response (ISO 8601)',
+                value: (r)=>typeof r.time === "object"? time(r.time.start) : null},
+            {name: 'time_bet', description: 'time of the last change to the response (ISO 8601)',
+                value: (r)=>typeof r.time === "object"? time(r.time.bet) : null},
+            {name: 'first_response_latency_ms', description: 'ms from onset to the first response',
+                value: metric('firstResponseLatency')},
+            {name: 'response_time_ms', description: 'ms from onset to the last change to the response',
+                value: metric('responseTime')},
+            {name: 'deliberation_time_ms', description: 'ms between the first and last changes to the response',
+                value: metric('deliberationTime')},
+            {name: 'revisions', description: 'number of times the response was changed after the first',
+                value: metric('revisions')},
+            {name: 'samples', description: 'number of samples in the response trajectory',
+                value: metric('samples')},
+            {name: 'config_hash', description: 'hash of the trial configuration (see Export.configHash)',
+                value: (r)=>typeof r.config === "object"? Export.configHash(r.config) : null},
+            {name: 'bet_chips', description: 'chips placed in each histogram bin as JSON',
+                value: (r)=>r.bet === null || typeof r.bet.chips === "undefined"? null : JSON.stringify(r.bet.chips)},
+            {name: 'x_scale', description: "x axis scale: 'linear', 'log10' or 'date' (x values in ms since 1970)",
+                value: model((r, m)=>Export.optionName(m.xScale))}
+        ];
+    }
+
+    /**
+     * Name of an option given as a name, an object or a custom object placeholder (see
+     * DistributionModel.serialisedOption)
+     * @param option {{name: string}|string|null}
+     * @return {string|null}
+     */
+    static optionName(option) {
+        if(typeof option === "object" && option !== null)
+            return typeof option.name === "undefined"? null : option.name;
+        return typeof option === "undefined"? null : option;
+    }
+
+    /**
+     * Family name with any parameters, e.g. studentT{"df":3}
+     * @param family {{name: string}|string|null|undefined}
+     * @return {string|null}
+     */
+    static familyName(family) {
+        if(typeof family === "undefined" || family === null || typeof family === "string" || family.custom === true)
+            return Export.optionName(family);
+        let params = Object.assign({}, family);
+        delete params.name;
+        return family.name + (Object.keys(params).length? JSON.stringify(params) : '');
+    }
+
+    /**
+     * Stable hash of a configuration, so trials run with identical settings can be grouped.
+     * Keys are sorted before hashing so the order in which options were given does not matter.
+     * @param config {{}}
+     * @return {string} 8 hexadecimal digits
+     */
+    static configHash(config) {
+        const canonical = (v)=>{
+            if(Array.isArray(v))
+                return '[' + v.map(canonical).join(',') + ']';
+            if(typeof v === "object" && v !== null)
+                return '{' + Object.keys(v).sort().map((k)=>JSON.stringify(k) + ':' + canonical(v[k])).join(',') + '}';
+            return JSON.stringify(typeof v === "undefined"? null : v);
+        };
+        return ('0000000' + Random.hash(canonical(config)).toString(16)).slice(-8);
+    }
+
+    /**
+     * Values of each column for a record
+     * @param record {{}} Session record
+     * @param [objects = {}] {{}} custom objects the record used (see DistributionModel.fromJSON)
+     * @return {[]}
+     */
+    static row(record, objects = {}) {
+        let model = typeof record.config === "object"? DistributionModel.fromJSON(record, objects) : null;
+        return Export.columns.map((c)=>c.value(record, model));
+    }
+
+    /**
+     * Quote a value for CSV where needed
+     * @param value {*}
+     * @return {string}
+     */
+    static csvCell(value) {
+        if(value === null || typeof value === "undefined" || (typeof value === "number" && isNaN(value)))
+            return '';
+        let text = value.toString();
+        if(/[",\r\n]/.test(text))
+            text = '"' + text.replace(/"/g, '""') + '"';
+        return text;
+    }
+
+    /**
+     * Convert records to CSV with a header row
+     * @param records {{}[]} Session records
+     * @param [objects = {}] {{}} custom objects the records used (see DistributionModel.fromJSON)
+     * @return {string}
+     */
+    static toCSV(records, objects = {}) {
+        let lines = [Export.columns.map((c)=>c.name).join(',')];
+        records.forEach((r)=>lines.push(Export.row(r, objects).map(Export.csvCell).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Convert records to nested JSON: the full records, each with its config hash, and the CSV column
+     * descriptions for reference
+     * @param records {{}[]} Session records
+     * @return {{schemaVersion: int, columns: {name: string, description: string}[], trials: {}[]}}
+     */
+    static toJSON(records) {
+        return {
+            schemaVersion: Export.schemaVersion,
+            columns: Export.columns.map((c)=>({name: c.name, description: c.description})),
+            trials: records.map((r)=>
+                Object.assign({configHash: typeof r.config === "object"? Export.configHash(r.config) : null}, r))
+        };
+    }
+
+    /**
+     * Save text as a file in the browser
+     * @param text {string}
+     * @param filename {string}
+     * @param [type = 'text/csv'] {string} MIME type
+     */
+    static download(text, filename, type = 'text/csv') {
+        let url = URL.createObjectURL(new Blob([text], {type}));
+        let a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+export {Export};
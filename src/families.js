@@ -0,0 +1,231 @@
+"use strict";
+
+/**
+ * Distribution families describe the shape of the curve drawn for a bet.
+ *
+ * Each family is built from a standard density h(t) whose mode is at t = 0, and its cumulative
+ * distribution function H(t). As in the original widget, the curve for a bet on mu with spread s is
+ * h((x - mu) / (sqrt(2) * s)) / s, so the peak height at mu is h(0) / s and a precision p maps to
+ * a spread of h(0) / p (in precision units; see DistributionModel.getSD).
+ *
+ * A family object has:
+ * * name {string} - key under which the family is registered
+ * * params {{}} - shape parameters (e.g. alpha for skewNormal, df for studentT)
+ * * symmetric {boolean} - whether the curve is symmetrical about its mode
+ * * peakDensity {number} - h(0)
+ * * area {number} - area under the curve in x units, whatever the spread
+ * * f(x, mu, spread) {function} - curve values at each of x[]
+ * * cdf(z) {function} - proportion of the area lying below mu + z * spread
+ */
+class Families {
+    /**
+     * Names of the available families
+     * @return {string[]}
+     */
+    static get names() {
+        return ['normal', 'skewNormal', 'studentT', 'triangular', 'uniform'];
+    }
+
+    /**
+     * Look up a family
+     * @param family {string|{}} name of the family, {name, ...params} description, or a family object
+     * which is returned as is
+     * @return {{}} family object
+     */
+    static get(family) {
+        if(typeof family === "object" && family !== null && typeof family.f === "function")
+            return family;
+        let name = family;
+        let params = {};
+        if(typeof family === "object" && family !== null) {
+            name = family.name;
+            Object.keys(family).forEach((k)=>{if(k !== 'name') params[k] = family[k];});
+        }
+        if(Families.names.indexOf(name) === -1)
+            throw new Error('Unknown distribution family "' + name + '"; expected one of ' +
+                Families.names.join(', '));
+        return Families[name](params);
+    }
+
+    /**
+     * Build a family object from its standard density and cumulative distribution function
+     * @param name {string}
+     * @param params {{}}
+     * @param h {function} standard density with its mode at 0
+     * @param H {function} cumulative distribution function of h
+     * @param symmetric {boolean} whether h(t) = h(-t)
+     * @return {{}} family object
+     */
+    static create(name, params, h, H, symmetric) {
+        return {
+            name,
+            params,
+            symmetric,
+            peakDensity: h(0),
+            area: Math.SQRT2,
+            f: (x, mu, spread)=>{
+                let y = [];
+                const w = Math.SQRT2 * spread;
+                for(let i = 0; i < x.length; i++)
+                    y[i] = h((x[i] - mu) / w) / spread;
+                return y;
+            },
+            cdf: (z)=>H(z / Math.SQRT2)
+        };
+    }
+
+    /**
+     * The symmetrical normal distribution used by the original widget
+     * @return {{}} family object
+     */
+    static normal() {
+        let family = Families.create('normal', {}, Families.phi, Families.Phi, true);
+        // keep the original formula so existing bets produce identical curves
+        family.f = (x, mu, sd)=>{
+            let y = [];
+            const z = 1 / (Families.root2pi * sd);
+            const w = Math.pow(2*sd, 2);
+            for(let i = 0; i < x.length; i++)
+                y[i] = z * Math.exp(-(Math.pow(x[i] - mu,2) / w));
+            return y;
+        };
+        return family;
+    }
+
+    /**
+     * Skew-normal distribution, positioned so that the bet sits on its mode (not its mean)
+     * @param [params.alpha = 3] {number} - shape; positive values give a longer right tail
+     * @return {{}} family object
+     */
+    static skewNormal(params = {}) {
+        let alpha = typeof params.alpha === "undefined"? 3 : params.alpha;
+        const sn = (t)=>2 * Families.phi(t) * Families.Phi(alpha * t);
+        // skew-normal distributions are unimodal: golden section search for the mode
+        let a = -2;
+        let b = 2;
+        const g = (Math.sqrt(5) - 1) / 2;
+        while(b - a > 1e-10) {
+            let c = b - g * (b - a);
+            let d = a + g * (b - a);
+            if(sn(c) > sn(d))
+                b = d;
+            else
+                a = c;
+        }
+        const mode = (a + b) / 2;
+        return Families.create('skewNormal', {alpha},
+            (t)=>sn(t + mode),
+            (t)=>t + mode >= 10? 1 : Families.integrate(sn, -10, t + mode),
+            alpha === 0);
+    }
+
+    /**
+     * Student's t distribution, which has heavier tails than the normal distribution
+     * @param [params.df = 3] {number} - degrees of freedom
+     * @return {{}} family object
+     */
+    static studentT(params = {}) {
+        let df = typeof params.df === "undefined"? 3 : params.df;
+        if(!(df > 0))
+            throw new Error('studentT family requires df > 0');
+        const c = Math.exp(Families.logGamma((df + 1) / 2) - Families.logGamma(df / 2)) / Math.sqrt(df * Math.PI);
+        const h = (t)=>c * Math.pow(1 + t * t / df, -(df + 1) / 2);
+        // integrate over t = tan(theta) so the heavy tails are covered by a finite interval
+        const hTheta = (theta)=>h(Math.tan(theta)) / Math.pow(Math.cos(theta), 2);
+        const half = (t)=>Families.integrate(hTheta, 0, Math.atan(t));
+        return Families.create('studentT', {df},
+            h,
+            (t)=>t < 0? .5 - half(-t) : .5 + half(t),
+            true);
+    }
+
+    /**
+     * Symmetrical triangular distribution
+     * @return {{}} family object
+     */
+    static triangular() {
+        return Families.create('triangular', {},
+            (t)=>Math.max(0, 1 - Math.abs(t)),
+            (t)=>t <= -1? 0 : t < 0? Math.pow(1 + t, 2) / 2 : t < 1? 1 - Math.pow(1 - t, 2) / 2 : 1,
+            true);
+    }
+
+    /**
+     * Uniform distribution centred on the bet
+     * @return {{}} family object
+     */
+    static uniform() {
+        return Families.create('uniform', {},
+            (t)=>Math.abs(t) <= 1? .5 : 0,
+            (t)=>t <= -1? 0 : t < 1? (t + 1) / 2 : 1,
+            true);
+    }
+
+    /**
+     * Avoids numerous recalculations of a square root
+     * @return {number} - Math.sqrt(2 * Math.PI)
+     */
+    static get root2pi() {
+        return 2.5066282746310002;
+    }
+
+    /**
+     * Standard normal density
+     * @param t {number}
+     * @return {number}
+     */
+    static phi(t) {
+        return Math.exp(-t * t / 2) / Families.root2pi;
+    }
+
+    /**
+     * Standard normal cumulative distribution function (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+     * @param t {number}
+     * @return {number}
+     */
+    static Phi(t) {
+        const z = Math.abs(t) / Math.SQRT2;
+        const k = 1 / (1 + .3275911 * z);
+        const erf = 1 - k * (.254829592 + k * (-.284496736 + k * (1.421413741 + k * (-1.453152027 +
+            k * 1.061405429)))) * Math.exp(-z * z);
+        return t < 0? (1 - erf) / 2 : (1 + erf) / 2;
+    }
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation)
+     * @param z {number} z > 0
+     * @return {number}
+     */
+    static logGamma(z) {
+        const g = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+            12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+        if(z < .5)
+            return Math.log(Math.PI / Math.sin(Math.PI * z)) - Families.logGamma(1 - z);
+        z -= 1;
+        let a = 0.99999999999980993;
+        for(let i = 0; i < g.length; i++)
+            a += g[i] / (z + i + 1);
+        const t = z + g.length - .5;
+        return .5 * Math.log(2 * Math.PI) + (z + .5) * Math.log(t) - t + Math.log(a);
+    }
+
+    /**
+     * Integrate fn from a to b using Simpson's rule
+     * @param fn {function}
+     * @param a {number}
+     * @param b {number}
+     * @param [steps = 200] {int} number of intervals (even)
+     * @return {number}
+     */
+    static integrate(fn, a, b, steps = 200) {
+        if(b <= a)
+            return 0;
+        const h = (b - a) / steps;
+        let sum = fn(a) + fn(b);
+        for(let i = 1; i < steps; i++)
+            sum += fn(a + i * h) * (i % 2? 4 : 2);
+        return sum * h / 3;
+    }
+}
+
+export {Families};
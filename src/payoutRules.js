@@ -0,0 +1,155 @@
+"use strict";
+
+import {utils} from "./utils.js";
+
+/**
+ * Payout rules turn a DistributionModel's current curve and an outcome into a score.
+ *
+ * Each rule is an object with:
+ * * name {string} - key under which the rule is registered
+ * * local {boolean} - whether the score depends only on the curve height at the outcome
+ * * score(model, index) {function} - score if the outcome is model.x[index]
+ * * scoreHeight(model, height) {function} - (local rules only) score for a curve height in precision units
+ *
+ * All rules except linear are proper scoring rules: a participant maximises their expected score by
+ * reporting their true beliefs. Scores are converted to payouts by DistributionModel.scoreToPayout, and an
+ * affine transformation with a positive scale (payoutRuleScale) keeps a proper rule proper.
+ * Note that clamping payouts by minPayout/maxPayout can break this guarantee.
+ */
+class PayoutRules {
+    /**
+     * Names of the available rules
+     * @return {string[]}
+     */
+    static get names() {
+        return ['linear', 'quadratic', 'logarithmic', 'spherical', 'crps'];
+    }
+
+    /**
+     * Look up a payout rule
+     * @param rule {string|{}} name of the rule, or a rule object which is returned as is
+     * @return {{name: string, local: boolean, score: function, scoreHeight: function}}
+     */
+    static get(rule) {
+        if(typeof rule === "object" && rule !== null)
+            return rule;
+        if(PayoutRules.names.indexOf(rule) === -1)
+            throw new Error('Unknown payout rule "' + rule + '"; expected one of ' + PayoutRules.names.join(', '));
+        return PayoutRules[rule];
+    }
+
+    /**
+     * Linear map of curve height, running from minBet at minPrecision to maxBet at maxPrecision.
+     * This is the original payout scheme and is not a proper scoring rule.
+     */
+    static get linear() {
+        return {
+            name: 'linear',
+            local: true,
+            score: (model, index)=>model.precisionToPayout(model.precision[index] * model.scale, false),
+            scoreHeight: (model, height)=>model.precisionToPayout(height, false)
+        };
+    }
+
+    /**
+     * Quadratic (Brier) score: 2p(outcome) - sum(p^2). Ranges from -1 to 1.
+     */
+    static get quadratic() {
+        return {
+            name: 'quadratic',
+            local: true,
+            score: (model, index)=>PayoutRules.quadratic.scoreHeight(model, model.precision[index] * model.scale),
+            scoreHeight: (model, height)=>
+                2 * PayoutRules.heightToProbability(model, height) - PayoutRules.sumOfSquares(model.probabilities)
+        };
+    }
+
+    /**
+     * Smallest probability used by the logarithmic score, so that an outcome the curve gives no probability
+     * (e.g. an empty histogram bin, or beyond a uniform curve) scores ln(1e-6) rather than -Infinity
+     * @return {number}
+     */
+    static get minProbability() {
+        return 1e-6;
+    }
+
+    /**
+     * Logarithmic score: ln(p(outcome)), with p floored at minProbability. Ranges from about -13.8 to 0.
+     */
+    static get logarithmic() {
+        return {
+            name: 'logarithmic',
+            local: true,
+            score: (model, index)=>PayoutRules.logarithmic.scoreHeight(model, model.precision[index] * model.scale),
+            scoreHeight: (model, height)=>
+                Math.log(Math.max(PayoutRules.minProbability, PayoutRules.heightToProbability(model, height)))
+        };
+    }
+
+    /**
+     * Spherical score: p(outcome) / sqrt(sum(p^2)). Ranges from 0 to 1.
+     */
+    static get spherical() {
+        return {
+            name: 'spherical',
+            local: true,
+            score: (model, index)=>PayoutRules.spherical.scoreHeight(model, model.precision[index] * model.scale),
+            scoreHeight: (model, height)=>PayoutRules.heightToProbability(model, height) /
+                Math.sqrt(PayoutRules.sumOfSquares(model.probabilities))
+        };
+    }
+
+    /**
+     * Continuous ranked probability score, negated so that higher is better.
+     * Measured in x axis units on the axis scale (e.g. orders of magnitude on a log10 axis, days on a date axis), so
+     * ranges from -(length of the axis) to 0.
+     * The score depends on the whole cumulative distribution, so it cannot be read off a curve height.
+     */
+    static get crps() {
+        return {
+            name: 'crps',
+            local: false,
+            score: (model, index)=>{
+                let p = model.probabilities;
+                // accumulate in ascending order of x value so reverseX axes are handled
+                let order = [];
+                for(let i = 0; i < model.x.length; i++)
+                    order[i] = i;
+                order.sort((a, b)=>model.x[a] - model.x[b]);
+                let cumulative = 0;
+                let sum = 0;
+                for(let i = 0; i < order.length; i++) {
+                    cumulative += p[order[i]];
+                    let observed = model.x[order[i]] >= model.x[index]? 1 : 0;
+                    sum += Math.pow(cumulative - observed, 2);
+                }
+                return -sum * model.step;
+            },
+            scoreHeight: ()=>NaN
+        };
+    }
+
+    /**
+     * Convert a curve height to the probability mass it would represent on the current curve
+     * @param model {DistributionModel}
+     * @param height {number} height in precision units
+     * @return {number}
+     */
+    static heightToProbability(model, height) {
+        return height / (utils.sum(model.precision) * model.scale);
+    }
+
+    /**
+     * Return the sum of squared elements of p
+     * @param p {number[]}
+     * @return {number}
+     */
+    static sumOfSquares(p) {
+        let total = 0;
+        for(let i = 0; i < p.length; i++)
+            total += p[i] * p[i];
+        return total;
+    }
+}
+
+export {PayoutRules};
@@ -0,0 +1,371 @@
+"use strict";
+
+import {Random} from "./random.js";
+import {Scales} from "./scales.js";
+
+/**
+ * A QuestionBank holds validated questions for estimation tasks.
+ *
+ * Questions can be read from XML (as in assets/etc/questions.xml):
+ *
+ *     <questionSet>
+ *         <question topic="arts">
+ *             <prompt>Vincent van Gogh dies</prompt>
+ *             <target>1890</target>
+ *             <citation>https://en.wikipedia.org/wiki/Vincent_van_Gogh</citation>
+ *         </question>
+ *     </questionSet>
+ *
+ * or the equivalent JSON:
+ *
+ *     {"questions": [{"topic": "arts", "prompt": "Vincent van Gogh dies", "target": 1890, "citation": "..."}]}
+ *
+ * Prompts may contain markup, which is kept as it is. topic and citation are optional.
+ * A question can have its own axis, given by xMin, xMax, units and xScale attributes in XML
+ * (e.g. <question topic="science" xMin="0" xMax="100" units="%">) or properties in JSON.
+ * On a date axis (xScale="date", for the question or the whole bank) the target and limits may be written as
+ * date strings, e.g. <question xScale="date" xMin="1969-01-01" xMax="1970-01-01">, and are converted to
+ * ms since 1970 (see Scales.date).
+ *
+ * Each question is an object with:
+ * * id {int} - position in the source, counting from 0
+ * * prompt {string}
+ * * target {number} - the correct answer
+ * * topic {string|null}
+ * * citation {string|null}
+ * * xMin {number|null} - x axis minimum for this question, or null to use the Distribution's
+ * * xMax {number|null} - x axis maximum for this question, or null to use the Distribution's
+ * * units {string|null} - units of the target, or null to use the Distribution's
+ * * xScale {string|null} - name of the x axis scale for this question (see Scales), or null to use the
+ * Distribution's
+ * * line {int|null} - line of the source on which the question begins
+ */
+class QuestionBank {
+    /**
+     * @constructor
+     *
+     * @param [questions = []] {{}[]} - question objects
+     * @param [args = {}] {{}}
+     * @param [args.xMin = -Infinity] {number} - smallest allowed target for questions without their own axis,
+     * e.g. the x axis minimum
+     * @param [args.xMax = Infinity] {number} - largest allowed target for questions without their own axis,
+     * e.g. the x axis maximum
+     * @param [args.xScale = 'linear'] {string} - name of the x axis scale for questions without their own, which
+     * should match the Distribution's. Targets and limits are read on this scale, e.g. as dates for 'date'.
+     * @param [args.source = 'questions'] {string} - name of the source, used in error messages
+     *
+     * @return {QuestionBank}
+     * @throws {Error} if any question is invalid. The error's errors property lists each problem as {line, message}.
+     */
+    constructor(questions = [], args = {}) {
+        this.xScale = typeof args.xScale === "undefined"? 'linear' : args.xScale;
+        let scale = Scales.get(this.xScale);
+        this.xMin = typeof args.xMin === "undefined"? -Infinity : scale.parse(args.xMin);
+        this.xMax = typeof args.xMax === "undefined"? Infinity : scale.parse(args.xMax);
+        this.source = typeof args.source === "undefined"? 'questions' : args.source;
+        this.questions = questions;
+        this.validate();
+        return this;
+    }
+
+    /**
+     * Check each question has a prompt and a numeric target within its axis range, and that no prompt is repeated.
+     * Targets and limits written as text for the question's scale (e.g. dates) are converted to numbers.
+     * @return {QuestionBank} self for chaining
+     * @throws {Error} listing every problem found
+     */
+    validate() {
+        let errors = [];
+        let seen = {};
+        this.questions.forEach((q)=>{
+            let where = q.line === null? 'question ' + q.id : 'line ' + q.line;
+            const error = (message)=>errors.push({line: q.line, message: this.source + ' ' + where + ': ' + message});
+            let scale = null;
+            try {
+                scale = Scales.get(q.xScale === null? this.xScale : q.xScale);
+            } catch(e) {
+                error(e.message);
+            }
+            if(scale !== null)
+                ['target', 'xMin', 'xMax'].forEach((k)=>{
+                    // text which the scale cannot read is left for the checks below to report
+                    let v = typeof q[k] === "string"? scale.parse(q[k]) : q[k];
+                    if(typeof v === "number" && !isNaN(v))
+                        q[k] = v;
+                });
+            if(typeof q.prompt !== "string" || q.prompt.trim() === "")
+                error('question has no prompt');
+            else {
+                let key = q.prompt.trim().toLowerCase();
+                if(typeof seen[key] !== "undefined")
+                    error('duplicate of the question at ' + seen[key]);
+                else
+                    seen[key] = where;
+            }
+            let xMin = q.xMin === null? this.xMin : q.xMin;
+            let xMax = q.xMax === null? this.xMax : q.xMax;
+            if(typeof xMin !== "number" || typeof xMax !== "number" || !(xMin < xMax))
+                error('axis range ' + xMin + ' to ' + xMax + ' is not valid');
+            else if(q.target === null)
+                error('question has no target');
+            else if(typeof q.target !== "number" || !isFinite(q.target))
+                error('target "' + q.target + '" is not a number');
+            else if(q.target < xMin || q.target > xMax)
+                error('target ' + q.target + ' is outside the axis range ' + xMin + ' to ' + xMax);
+        });
+        if(errors.length) {
+            let e = new Error(errors.map((x)=>x.message).join('\n'));
+            e.errors = errors;
+            throw e;
+        }
+        return this;
+    }
+
+    /**
+     * Build a question object, converting numeric fields given as text to numbers
+     * @param id {int}
+     * @param fields {{prompt: string, target: string|number, topic: string, citation: string,
+     * xMin: string|number, xMax: string|number, units: string, xScale: string}}
+     * @param [line = null] {int|null}
+     * @return {{id: int, prompt: string, target: number|string|null, topic: string|null, citation: string|null,
+     * xMin: number|string|null, xMax: number|string|null, units: string|null, xScale: string|null,
+     * line: int|null}}
+     */
+    static question(id, fields, line = null) {
+        const value = (k)=>typeof fields[k] === "undefined"? null : fields[k];
+        const number = (k)=>{
+            let v = value(k);
+            if(typeof v === "string")
+                v = v.trim() === "" || isNaN(Number(v))? v : Number(v);
+            return v;
+        };
+        return {
+            id,
+            prompt: value('prompt'),
+            target: number('target'),
+            topic: value('topic'),
+            citation: value('citation'),
+            xMin: number('xMin'),
+            xMax: number('xMax'),
+            units: value('units'),
+            xScale: value('xScale'),
+            line
+        };
+    }
+
+    /**
+     * Replace the predefined XML entities in text
+     * @param text {string}
+     * @return {string}
+     */
+    static decodeXML(text) {
+        return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Return the 1-based line number of a position in text
+     * @param text {string}
+     * @param position {int}
+     * @return {int}
+     */
+    static lineAt(text, position) {
+        return text.slice(0, position).split('\n').length;
+    }
+
+    /**
+     * Read questions from XML. The XML is read with regular expressions rather than a DOM parser so that line
+     * numbers are available and the QuestionBank works outside the browser.
+     * @param text {string} XML text
+     * @param [args = {}] {{}} constructor arguments
+     * @return {QuestionBank}
+     */
+    static fromXML(text, args = {}) {
+        let questions = [];
+        const element = (body, name)=>{
+            let match = new RegExp('<' + name + '(?:\\s[^>]*)?>([\\s\\S]*?)</' + name + '>').exec(body);
+            return match === null? undefined : match[1].trim();
+        };
+        const attribute = (tag, name)=>{
+            let match = new RegExp('\\s' + name + '\\s*=\\s*"([^"]*)"').exec(tag || '');
+            return match === null? undefined : QuestionBank.decodeXML(match[1]);
+        };
+        let re = /<question(\s[^>]*)?>([\s\S]*?)<\/question>/g;
+        let match;
+        while((match = re.exec(text)) !== null) {
+            let target = element(match[2], 'target');
+            let citation = element(match[2], 'citation');
+            questions.push(QuestionBank.question(questions.length, {
+                prompt: element(match[2], 'prompt'),
+                target: typeof target === "undefined"? undefined : QuestionBank.decodeXML(target),
+                topic: attribute(match[1], 'topic'),
+                citation: typeof citation === "undefined"? undefined : QuestionBank.decodeXML(citation),
+                xMin: attribute(match[1], 'xMin'),
+                xMax: attribute(match[1], 'xMax'),
+                units: attribute(match[1], 'units'),
+                xScale: attribute(match[1], 'xScale')
+            }, QuestionBank.lineAt(text, match.index)));
+        }
+        return new QuestionBank(questions, args);
+    }
+
+    /**
+     * Read questions from JSON: an object with a questions array, or the array itself
+     * @param json {string|{}|{}[]} JSON text or parsed JSON. Line numbers are only available from text.
+     * @param [args = {}] {{}} constructor arguments
+     * @return {QuestionBank}
+     */
+    static fromJSON(json, args = {}) {
+        let lines = [];
+        if(typeof json === "string") {
+            lines = QuestionBank.jsonObjectLines(json);
+            json = JSON.parse(json);
+        }
+        let list = Array.isArray(json)? json : json.questions;
+        if(!Array.isArray(list))
+            throw new Error('Question JSON requires a questions array');
+        let questions = list.map((q, i)=>QuestionBank.question(i, q, typeof lines[i] === "undefined"? null : lines[i]));
+        return new QuestionBank(questions, args);
+    }
+
+    /**
+     * Return the line on which each object directly inside an array begins, in order.
+     * For question JSON these are the questions.
+     * @param text {string} JSON text
+     * @return {int[]}
+     */
+    static jsonObjectLines(text) {
+        let lines = [];
+        let stack = [];
+        let line = 1;
+        let inString = false;
+        for(let i = 0; i < text.length; i++) {
+            let c = text[i];
+            if(c === '\n')
+                line++;
+            if(inString) {
+                if(c === '\\')
+                    i++;
+                else if(c === '"')
+                    inString = false;
+            } else if(c === '"')
+                inString = true;
+            else if(c === '{' || c === '[') {
+                if(c === '{' && stack[stack.length - 1] === '[')
+                    lines.push(line);
+                stack.push(c);
+            } else if(c === '}' || c === ']')
+                stack.pop();
+        }
+        return lines;
+    }
+
+    /**
+     * Fetch and read a question file. JSON is expected if the URL ends in .json or the file begins with { or [,
+     * otherwise XML.
+     * @param url {string}
+     * @param [args = {}] {{}} constructor arguments. source defaults to url.
+     * @return {Promise<QuestionBank>}
+     */
+    static load(url, args = {}) {
+        args = Object.assign({source: url}, args);
+        return fetch(url)
+            .then((response)=>{
+                if(!response.ok)
+                    throw new Error('Could not load questions from ' + url + ': ' + response.status);
+                return response.text();
+            })
+            .then((text)=>/\.json$/i.test(url) || /^\s*[{[]/.test(text)?
+                QuestionBank.fromJSON(text, args) : QuestionBank.fromXML(text, args));
+    }
+
+    /**
+     * Create a QuestionBank with the same settings and a different set of questions
+     * @param questions {{}[]}
+     * @return {QuestionBank}
+     */
+    copy(questions) {
+        return new QuestionBank(questions,
+            {xMin: this.xMin, xMax: this.xMax, xScale: this.xScale, source: this.source});
+    }
+
+    /**
+     * Topics used by the questions, in order of first appearance. Questions without a topic are not included.
+     * @return {string[]}
+     */
+    get topics() {
+        let topics = [];
+        this.questions.forEach((q)=>{
+            if(q.topic !== null && topics.indexOf(q.topic) === -1)
+                topics.push(q.topic);
+        });
+        return topics;
+    }
+
+    /**
+     * Keep only questions on the given topics
+     * @param topics {string|string[]}
+     * @return {QuestionBank} new QuestionBank
+     */
+    filter(topics) {
+        if(!Array.isArray(topics))
+            topics = [topics];
+        return this.copy(this.questions.filter((q)=>topics.indexOf(q.topic) !== -1));
+    }
+
+    /**
+     * Shuffle the questions
+     * @param [random = Math.random] {Random|function|int|string} source of the order: a Random (e.g. session.random
+     * so that the order follows the session's seed), a function returning numbers in [0, 1), or a seed
+     * @return {QuestionBank} new QuestionBank
+     */
+    shuffle(random = Math.random) {
+        return this.copy(Random.from(random).shuffle(this.questions));
+    }
+
+    /**
+     * Select n questions at random so that topics are represented as equally as possible,
+     * and shuffle them. Questions without a topic are treated as one topic.
+     * @param [n = questions.length] {int} number of questions
+     * @param [random = Math.random] {Random|function|int|string} source of the selection and order (see shuffle)
+     * @return {QuestionBank} new QuestionBank
+     */
+    balanced(n = this.questions.length, random = Math.random) {
+        random = Random.from(random); // a seed is used once, not restarted for each shuffle
+        let groups = {};
+        let order = [];
+        this.shuffle(random).questions.forEach((q)=>{
+            if(typeof groups[q.topic] === "undefined") {
+                groups[q.topic] = [];
+                order.push(q.topic);
+            }
+            groups[q.topic].push(q);
+        });
+        // take one question from each topic in turn
+        let selected = [];
+        for(let round = 0; selected.length < n && selected.length < this.questions.length; round++)
+            order.forEach((topic)=>{
+                if(selected.length < n && round < groups[topic].length)
+                    selected.push(groups[topic][round]);
+            });
+        return this.copy(selected).shuffle(random);
+    }
+
+    /**
+     * Answer targets in question order
+     * @return {number[]}
+     */
+    get targets() {
+        return this.questions.map((q)=>q.target);
+    }
+
+    /**
+     * Trial specifications for a Session: each question with its target as the trial's answer
+     * @return {{}[]}
+     */
+    toTrials() {
+        return this.questions.map((q)=>Object.assign({answer: q.target}, q));
+    }
+}
+
+export {QuestionBank};
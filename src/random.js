@@ -0,0 +1,124 @@
+"use strict";
+
+/**
+ * Seeded pseudorandom number generator (mulberry32), so that a session's question order and simulated outcomes
+ * can be regenerated exactly from its seed.
+ *
+ * Not suitable for cryptographic use.
+ */
+class Random {
+    /**
+     * @constructor
+     *
+     * @param [seed = Random.newSeed()] {int|string} - 32-bit integer seed, or a string (e.g. a participant ID)
+     * which is hashed to one. A string of digits is read as the number it writes, so a recorded seed given back
+     * as text (e.g. demo.html?seed=123) regenerates the same sequence.
+     *
+     * @return {Random}
+     */
+    constructor(seed = Random.newSeed()) {
+        if(typeof seed === "string")
+            seed = /^\d{1,10}$/.test(seed) && Number(seed) < 4294967296? Number(seed) : Random.hash(seed);
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        return this;
+    }
+
+    /**
+     * A Random from a Random, which is returned as is, a function returning uniform numbers in [0, 1) such as
+     * Math.random or Random.generator, or a seed
+     * @param source {Random|function|int|string}
+     * @return {Random}
+     */
+    static from(source) {
+        if(source instanceof Random)
+            return source;
+        if(typeof source !== "function")
+            return new Random(source);
+        let random = new Random(0);
+        random.seed = null;
+        random.state = null;
+        random.uniform = source;
+        return random;
+    }
+
+    /**
+     * Choose a seed for a new Random. This is the only use of Math.random.
+     * @return {int}
+     */
+    static newSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Hash a string to a 32-bit integer (FNV-1a)
+     * @param text {string}
+     * @return {int}
+     */
+    static hash(text) {
+        let h = 2166136261;
+        for(let i = 0; i < text.length; i++)
+            h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+        return h >>> 0;
+    }
+
+    /**
+     * Return the next number from a uniform distribution over [0, 1)
+     * @return {number}
+     */
+    uniform() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ t >>> 15, t | 1);
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Return a whole number between min and max inclusive
+     * @param min {int}
+     * @param max {int}
+     * @return {int}
+     */
+    integer(min, max) {
+        return min + Math.floor(this.uniform() * (max - min + 1));
+    }
+
+    /**
+     * Return a number from a normal distribution (Box-Muller transform)
+     * @param [mean = 0] {number}
+     * @param [sd = 1] {number}
+     * @return {number}
+     */
+    normal(mean = 0, sd = 1) {
+        let u = 1 - this.uniform(); // (0, 1] so the log is finite
+        let v = this.uniform();
+        return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Return a shuffled copy of an array (Fisher-Yates)
+     * @param array {[]}
+     * @return {[]}
+     */
+    shuffle(array) {
+        let out = array.slice();
+        for(let i = out.length - 1; i > 0; i--) {
+            let j = Math.floor(this.uniform() * (i + 1));
+            let temp = out[i];
+            out[i] = out[j];
+            out[j] = temp;
+        }
+        return out;
+    }
+
+    /**
+     * A function returning uniform numbers from this generator, for code which expects Math.random
+     * @return {function}
+     */
+    get generator() {
+        return ()=>this.uniform();
+    }
+}
+
+export {Random};
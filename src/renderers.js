@@ -0,0 +1,228 @@
+"use strict";
+
+/**
+ * Renderers draw the curve of a Distribution on its canvas. The renderer is chosen with style.renderer.
+ *
+ * * 'bars' - one bar per x value (the original look)
+ * * 'area' - a smooth filled area under the curve, outlined in style.curveStroke
+ * * 'outline' - a smooth line along the curve, with nothing filled
+ * * 'gradient' - as 'area', filled from style.rectangleFillLow at heights which would pay less than 0 to
+ * style.rectangleFill at heights which would pay more. Payout rules which do not depend only on curve height
+ * (e.g. crps) are filled with style.rectangleFill alone.
+ *
+ * A renderer object has:
+ * * name {string} - key under which the renderer is registered
+ * * draw(view) {function} - draw the curve from view.y
+ * * drawColumn(view, xIndex, y, fill, line) {function} - draw the column at xIndex reaching height y, in the
+ * colours given (null for the animation defaults). Used by Distribution.animatePayout.
+ * * highlight(view, xIndex) {function} - mark the column at xIndex, e.g. the outcome of a trial
+ *
+ * view is the Distribution, so renderers can use its canvas, style, panel, pixelsPerPoint, valueToX and so on.
+ */
+class Renderers {
+    /**
+     * Names of the available renderers
+     * @return {string[]}
+     */
+    static get names() {
+        return ['bars', 'area', 'outline', 'gradient'];
+    }
+
+    /**
+     * Look up a renderer
+     * @param renderer {string|{}} name of the renderer, or a renderer object which is returned as is
+     * @return {{}} renderer object
+     */
+    static get(renderer) {
+        if(typeof renderer === "object" && renderer !== null && typeof renderer.draw === "function")
+            return renderer;
+        if(Renderers.names.indexOf(renderer) === -1)
+            throw new Error('Unknown renderer "' + renderer + '"; expected one of ' + Renderers.names.join(', '));
+        return Renderers[renderer];
+    }
+
+    /**
+     * Fill the full height of the column at xIndex with style.rectangleHighlight
+     * @param view {Distribution}
+     * @param xIndex {int} index of view.x
+     */
+    static highlightColumn(view, xIndex) {
+        let ctx = view.canvas.getContext('2d');
+        ctx.beginPath();
+        ctx.lineWidth = view.pixelsPerPoint.x / 4;
+        ctx.strokeStyle = view.style.rectangleHighlight;
+        ctx.fillStyle = view.style.rectangleHighlight;
+        ctx.rect(
+            view.valueToX(view.x[xIndex]) - view.pixelsPerPoint.x/2,
+            0,
+            view.pixelsPerPoint.x,
+            view.canvas.clientHeight
+        );
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    /**
+     * Draw a bar at xIndex reaching height y
+     * @param view {Distribution}
+     * @param xIndex {int} index of view.x
+     * @param y {number} height of the bar from the bottom of the panel
+     * @param [fill=style.animationFill] {string|null} colour of the bar
+     * @param [line=style.animationStroke] {string|null} colour of the bar's outline
+     */
+    static drawBar(view, xIndex, y, fill = null, line = null) {
+        let ctx = view.canvas.getContext('2d');
+        ctx.beginPath();
+        ctx.strokeStyle = line !== null? line : view.style.animationStroke;
+        ctx.fillStyle = fill !== null? fill : view.style.animationFill;
+        ctx.lineWidth = view.pixelsPerPoint.x / 4;
+        ctx.rect(
+            view.valueToX(view.x[xIndex]) - view.pixelsPerPoint.x/4,
+            view.panel.bottom - y,
+            view.pixelsPerPoint.x - view.pixelsPerPoint.x/2,
+            y);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    /**
+     * One bar per x value
+     * @return {{}}
+     */
+    static get bars() {
+        return {
+            name: 'bars',
+            draw: (view)=>{
+                let ctx = view.canvas.getContext('2d');
+                ctx.lineWidth = view.pixelsPerPoint.x / 4;
+                // thin bars would vanish inside a background coloured outline, so are outlined in their own colour
+                let strokeStyle = ctx.lineWidth <= 1? view.style.rectangleFill : view.style.backgroundColor;
+                for(let i = 0; i < view.y.length; i++) {
+                    ctx.beginPath();
+                    ctx.rect(view.valueToX(view.x[i]) - view.pixelsPerPoint.x/4,
+                        view.panel.bottom - view.y[i],
+                        view.pixelsPerPoint.x - view.pixelsPerPoint.x/2, // account for the frame in the width
+                        view.y[i]);
+                    ctx.strokeStyle = strokeStyle;
+                    ctx.fillStyle = view.style.rectangleFill;
+                    ctx.fill();
+                    ctx.stroke();
+                }
+            },
+            drawColumn: Renderers.drawBar,
+            highlight: Renderers.highlightColumn
+        };
+    }
+
+    /**
+     * Trace a smooth path through the top of the curve, from the left edge of the first column to the right edge
+     * of the last. Each x value is joined to the next by a quadratic curve through their midpoint.
+     * @param view {Distribution}
+     * @param ctx {CanvasRenderingContext2D}
+     * @param [closed = false] {boolean} whether to begin and end the path on the bottom of the panel, for filling
+     */
+    static tracePath(view, ctx, closed = false) {
+        let half = view.pixelsPerPoint.x / 2 * Math.sign(view.valueToX(view.x[view.x.length - 1]) -
+            view.valueToX(view.x[0]));
+        let points = view.y.map((y, i)=>({x: view.valueToX(view.x[i]), y: view.panel.bottom - y}));
+        let first = points[0];
+        let last = points[points.length - 1];
+        ctx.beginPath();
+        if(closed) {
+            ctx.moveTo(first.x - half, view.panel.bottom);
+            ctx.lineTo(first.x - half, first.y);
+        } else
+            ctx.moveTo(first.x - half, first.y);
+        ctx.lineTo(first.x, first.y);
+        for(let i = 1; i < points.length; i++)
+            ctx.quadraticCurveTo(points[i - 1].x, points[i - 1].y,
+                (points[i - 1].x + points[i].x) / 2, (points[i - 1].y + points[i].y) / 2);
+        ctx.lineTo(last.x, last.y);
+        ctx.lineTo(last.x + half, last.y);
+        if(closed) {
+            ctx.lineTo(last.x + half, view.panel.bottom);
+            ctx.closePath();
+        }
+    }
+
+    /**
+     * Vertical gradient from style.rectangleFillLow where a curve of that height would pay less than 0 to
+     * style.rectangleFill where it would pay more
+     * @param view {Distribution}
+     * @param ctx {CanvasRenderingContext2D}
+     * @param [stops = 20] {int} number of heights at which the payout is sampled
+     * @return {CanvasGradient|string} style.rectangleFill if payouts cannot be read from curve heights
+     */
+    static payoutGradient(view, ctx, stops = 20) {
+        let panel = view.panel;
+        let payouts = [];
+        for(let s = 0; s <= stops; s++)
+            payouts[s] = view.yToPayout(panel.height * s / stops, false);
+        if(payouts.some(isNaN))
+            return view.style.rectangleFill;
+        let gradient = ctx.createLinearGradient(0, panel.bottom, 0, panel.top);
+        payouts.forEach((payout, s)=>
+            gradient.addColorStop(s / stops, payout < 0? view.style.rectangleFillLow : view.style.rectangleFill));
+        return gradient;
+    }
+
+    /**
+     * Build a renderer which draws the curve as a smooth path
+     * @param name {string}
+     * @param fill {function|null} called with (view, ctx) to return the fill style, or null for no fill
+     * @return {{}} renderer object
+     */
+    static smooth(name, fill) {
+        return {
+            name,
+            draw: (view)=>{
+                let ctx = view.canvas.getContext('2d');
+                if(fill !== null) {
+                    Renderers.tracePath(view, ctx, true);
+                    ctx.fillStyle = fill(view, ctx);
+                    ctx.fill();
+                }
+                Renderers.tracePath(view, ctx);
+                ctx.strokeStyle = view.style.curveStroke;
+                ctx.lineWidth = view.style.curveLineWidth;
+                ctx.stroke();
+            },
+            // a bar at the outcome shows the payout collapsing, as with the bars renderer
+            drawColumn: Renderers.drawBar,
+            // the curve is already drawn, so the highlight is translucent to keep it in view
+            highlight: (view, xIndex)=>{
+                let ctx = view.canvas.getContext('2d');
+                ctx.save();
+                ctx.globalAlpha = .5;
+                Renderers.highlightColumn(view, xIndex);
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Smooth area under the curve in style.rectangleFill
+     * @return {{}}
+     */
+    static get area() {
+        return Renderers.smooth('area', (view)=>view.style.rectangleFill);
+    }
+
+    /**
+     * Smooth line along the curve
+     * @return {{}}
+     */
+    static get outline() {
+        return Renderers.smooth('outline', null);
+    }
+
+    /**
+     * Smooth area under the curve shaded by the sign of the payout at each height
+     * @return {{}}
+     */
+    static get gradient() {
+        return Renderers.smooth('gradient', (view, ctx)=>Renderers.payoutGradient(view, ctx));
+    }
+}
+
+export {Renderers};
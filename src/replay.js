@@ -0,0 +1,164 @@
+"use strict";
+
+import {Distribution} from "./distribution.js";
+
+/**
+ * Replay plays a recorded response trajectory (see DistributionModel.recordSample) back onto a Distribution's
+ * canvas, e.g. to inspect unusual responses or to record demonstrations.
+ *
+ * Each frame places the sample current at the replay position with Distribution.setBet, so the curve and widgets
+ * are drawn exactly as they were during the response. Replaying does not add to the trajectory.
+ */
+class Replay {
+    /**
+     * @constructor
+     *
+     * @param args {{}}
+     * @param args.distribution {Distribution} - Distribution to draw onto. Its bet is overwritten, so this should be a
+     * copy (see Replay.fromJSON) rather than a Distribution still collecting a response. Input is disabled.
+     * @param [args.trajectory = distribution.trajectory] {{}[]} - samples to replay
+     * @param [args.speed = 1] {number} - playback speed, where 1 is real time
+     * @param [args.frameInterval = 20] {number} - milliseconds between frames
+     *
+     * @param [args.callback = {}] {{}} - callback functions
+     * @param [args.callback.onFrame = null] {function} - called with (position, sample) after each frame is drawn
+     * @param [args.callback.onEnd = null] {function} - called when playback reaches the end of the trajectory
+     *
+     * @return {Replay}
+     */
+    constructor(args = {}) {
+        if(!(args.distribution instanceof Distribution) || args.distribution.canvas === null)
+            throw new Error('Replay requires a Distribution with a canvas');
+        this.distribution = args.distribution;
+        this.trajectory = typeof args.trajectory === "undefined"? this.distribution.trajectory : args.trajectory;
+        this.speed = typeof args.speed === "undefined"? 1 : args.speed;
+        this.frameInterval = typeof args.frameInterval === "undefined"? 20 : args.frameInterval;
+        this.callback = Object.assign({onFrame: null, onEnd: null}, args.callback);
+
+        this.position = 0; // ms since the onset of the response
+        this.sample = null; // index of the sample on display
+        this.playing = false;
+
+        this.distribution.canvas.registerClickMouse(false);
+        this.distribution.canvas.registerHoverTrackMouse(false);
+
+        return this;
+    }
+
+    /**
+     * Create a Replay of a trial saved with toJSON
+     * @param json {{}|string} serialised Distribution including its trajectory
+     * @param canvas {HTMLCanvasElement} canvas to draw onto
+     * @param [args = {}] {{}} Replay arguments, e.g. speed and callback
+     * @param [args.objects = {}] {{}} custom payout rule, family, scale or renderer objects the trial used, as
+     * Distribution arguments (see Distribution.fromJSON)
+     * @return {Replay}
+     */
+    static fromJSON(json, canvas, args = {}) {
+        let distribution = Distribution.fromJSON(json, Object.assign({}, args.objects, {canvas}), false);
+        return new Replay(Object.assign({}, args, {distribution}));
+    }
+
+    /**
+     * Length of the trajectory in ms from the onset of the response
+     * @return {number}
+     */
+    get duration() {
+        return this.trajectory.length? this.trajectory[this.trajectory.length - 1].t : 0;
+    }
+
+    /**
+     * Return the index of the last sample made at or before position
+     * @param position {number} ms since the onset of the response
+     * @return {int} index of this.trajectory, or -1 if no sample had been made
+     */
+    sampleAt(position) {
+        let found = -1;
+        for(let i = 0; i < this.trajectory.length && this.trajectory[i].t <= position; i++)
+            found = i;
+        return found;
+    }
+
+    /**
+     * Draw the response as it was at the current position
+     * @return {Replay} self for chaining
+     */
+    render() {
+        let sample = this.sampleAt(this.position);
+        if(sample !== this.sample) {
+            this.sample = sample;
+            if(sample === -1)
+                this.distribution.clearCanvas().drawAxisX();
+            else
+                this.distribution.setBet(this.trajectory[sample]);
+        }
+        if(typeof this.callback.onFrame === "function")
+            this.callback.onFrame(this.position, sample === -1? null : this.trajectory[sample]);
+        return this;
+    }
+
+    /**
+     * Start or resume playback. Playback from the end of the trajectory restarts from the beginning.
+     * @param [speed = this.speed] {number} playback speed, where 1 is real time
+     * @return {Replay} self for chaining
+     */
+    play(speed = this.speed) {
+        this.speed = speed;
+        if(this.playing)
+            return this;
+        if(this.position >= this.duration)
+            this.position = 0;
+        this.playing = true;
+        this.lastFrame = new Date().getTime();
+        this.render();
+        this.frameTimeout = setTimeout(()=>this.nextFrame(), this.frameInterval);
+        return this;
+    }
+
+    /**
+     * Advance the position by the time elapsed since the last frame and draw
+     */
+    nextFrame() {
+        let now = new Date().getTime();
+        this.position = Math.min(this.duration, this.position + (now - this.lastFrame) * this.speed);
+        this.lastFrame = now;
+        this.render();
+        if(this.position < this.duration)
+            this.frameTimeout = setTimeout(()=>this.nextFrame(), this.frameInterval);
+        else {
+            this.playing = false;
+            if(typeof this.callback.onEnd === "function")
+                this.callback.onEnd();
+        }
+    }
+
+    /**
+     * Pause playback at the current position
+     * @return {Replay} self for chaining
+     */
+    pause() {
+        clearTimeout(this.frameTimeout);
+        this.playing = false;
+        return this;
+    }
+
+    /**
+     * Jump to a position and draw it. Playback continues from there if playing.
+     * @param position {number} ms since the onset of the response, clamped to [0, duration]
+     * @return {Replay} self for chaining
+     */
+    seek(position) {
+        this.position = position < 0? 0 : position > this.duration? this.duration : position;
+        return this.render();
+    }
+
+    /**
+     * Stop playback and return to the beginning
+     * @return {Replay} self for chaining
+     */
+    stop() {
+        return this.pause().seek(0);
+    }
+}
+
+export {Replay};
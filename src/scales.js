@@ -0,0 +1,183 @@
+"use strict";
+
+/**
+ * Scales map x values onto the x axis.
+ *
+ * The x values of a DistributionModel are evenly spaced on its scale, and the distribution family's density is
+ * defined on the scale, so on a log10 axis a symmetrical curve is symmetrical in orders of magnitude.
+ *
+ * A scale object has:
+ * * name {string} - key under which the scale is registered
+ * * parse(value) {function} - convert an axis limit as given in the options to an x value
+ * * toScale(value) {function} - position of an x value on the scale
+ * * fromScale(position) {function} - x value at a position on the scale
+ * * defaultPoints(range) {function} - default number of steps between axis limits range apart on the scale
+ * * ticks(min, max, count) {function} - about count tick marks for the range [min, max] of x values, as
+ * [{value, label}]
+ * * format(value, model) {function} - text for an x value of a model
+ */
+class Scales {
+    /**
+     * Names of the available scales
+     * @return {string[]}
+     */
+    static get names() {
+        return ['linear', 'log10', 'date'];
+    }
+
+    /**
+     * Look up a scale
+     * @param scale {string|{}} name of the scale, or a scale object which is returned as is
+     * @return {{}} scale object
+     */
+    static get(scale) {
+        if(typeof scale === "object" && scale !== null && typeof scale.toScale === "function")
+            return scale;
+        if(Scales.names.indexOf(scale) === -1)
+            throw new Error('Unknown scale "' + scale + '"; expected one of ' + Scales.names.join(', '));
+        return Scales[scale];
+    }
+
+    /**
+     * Number of decimal places needed to write each value exactly, up to 10
+     * @param values {...number}
+     * @return {int}
+     */
+    static decimals(...values) {
+        let decimals = 0;
+        const exact = (v)=>{
+            let scaled = v * Math.pow(10, decimals);
+            return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+        };
+        while(decimals < 10 && !values.every(exact))
+            decimals++;
+        return decimals;
+    }
+
+    /**
+     * Smallest of 1, 2 or 5 times a power of ten which is at least rough
+     * @param rough {number} > 0
+     * @return {number}
+     */
+    static niceStep(rough) {
+        let power = Math.pow(10, Math.floor(Math.log10(rough)));
+        let multiple = [1, 2, 5, 10].find((m)=>m * power >= rough * (1 - 1e-9));
+        return parseFloat((multiple * power).toPrecision(12));
+    }
+
+    /**
+     * Number written with a suffix for its size, to 3 significant figures, e.g. 1.5M. The locale is fixed so that
+     * labels, like the other scales' labels, do not depend on the participant's browser settings.
+     * @param value {number}
+     * @return {string}
+     */
+    static compact(value) {
+        return new Intl.NumberFormat('en-US', {notation: 'compact', maximumSignificantDigits: 3}).format(value);
+    }
+
+    /**
+     * Evenly spaced x values: steps of 1, 2 or 5 times a power of ten
+     * @return {{}}
+     */
+    static get linear() {
+        return {
+            name: 'linear',
+            parse: (value)=>value,
+            toScale: (value)=>value,
+            fromScale: (position)=>position,
+            defaultPoints: (range)=>Number.isInteger(range) && range >= 10? range : 100,
+            ticks: (min, max, count)=>{
+                let step = Scales.niceStep((max - min) / count);
+                let decimals = Scales.decimals(step);
+                let ticks = [];
+                for(let i = Math.ceil(min / step - 1e-9); i * step <= max + step * 1e-9; i++) {
+                    let value = parseFloat((i * step).toPrecision(12));
+                    ticks.push({value, label: value.toFixed(decimals)});
+                }
+                return ticks;
+            },
+            format: (value, model)=>value.toFixed(model.decimals)
+        };
+    }
+
+    /**
+     * x values evenly spaced in orders of magnitude, e.g. for populations or prices. Limits must be above 0.
+     * Ticks are at powers of ten, with 2 and 5 times each power where the axis spans only a few.
+     * @return {{}}
+     */
+    static get log10() {
+        return {
+            name: 'log10',
+            parse: (value)=>value,
+            toScale: (value)=>Math.log10(value),
+            fromScale: (position)=>Math.pow(10, position),
+            defaultPoints: ()=>100,
+            ticks: (min, max, count)=>{
+                let low = Math.floor(Math.log10(min));
+                let high = Math.ceil(Math.log10(max));
+                let every = Math.max(1, Math.ceil((high - low) / count));
+                let multiples = (high - low) * 3 <= count? [1, 2, 5] : [1];
+                let ticks = [];
+                for(let power = low; power <= high; power += every)
+                    multiples.forEach((m)=>{
+                        let value = parseFloat((m * Math.pow(10, power)).toPrecision(12));
+                        if(value >= min * (1 - 1e-9) && value <= max * (1 + 1e-9))
+                            ticks.push({value, label: Scales.compact(value)});
+                    });
+                return ticks;
+            },
+            format: (value)=>Scales.compact(value)
+        };
+    }
+
+    /**
+     * Dates and times as ms since 1970 (UTC), evenly spaced in days. Limits may also be given as Date objects or
+     * date strings. Ticks fall on calendar boundaries: years, months, days or hours as the span of the axis suits.
+     * By default there is an x value for each day on axes of 10 to 1000 whole days, and 100 steps otherwise.
+     * @return {{}}
+     */
+    static get date() {
+        const day = 86400000;
+        const iso = (value)=>new Date(value).toISOString();
+        // tick spacings, from finest to coarsest, in hours, days or months
+        const spacings = [
+            {hours: 1}, {hours: 3}, {hours: 6}, {hours: 12},
+            {days: 1}, {days: 2}, {days: 7}, {days: 14},
+            {months: 1}, {months: 3}, {months: 6},
+            {months: 12}, {months: 24}, {months: 60}, {months: 120}, {months: 240}, {months: 600}, {months: 1200}
+        ];
+        const length = (s)=>s.months? s.months * 30.44 * day : s.days? s.days * day : s.hours * day / 24;
+        return {
+            name: 'date',
+            parse: (value)=>typeof value === "number"? value : new Date(value).getTime(),
+            toScale: (value)=>value / day,
+            fromScale: (position)=>Math.round(position * day),
+            defaultPoints: (range)=>Number.isInteger(range) && range >= 10 && range <= 1000? range : 100,
+            ticks: (min, max, count)=>{
+                let spacing = spacings.find((s)=>length(s) >= (max - min) / count) || spacings[spacings.length - 1];
+                let values = [];
+                if(spacing.months) {
+                    let start = new Date(min);
+                    let month = start.getUTCFullYear() * 12 + start.getUTCMonth();
+                    month = Math.floor(month / spacing.months) * spacing.months;
+                    for(let value; (value = Date.UTC(Math.floor(month / 12), month % 12)) <= max;
+                        month += spacing.months)
+                        if(value >= min)
+                            values.push(value);
+                } else {
+                    let step = length(spacing);
+                    for(let value = Math.ceil(min / step) * step; value <= max; value += step)
+                        values.push(value);
+                }
+                let label = spacing.months >= 12? (v)=>iso(v).slice(0, 4) :
+                    spacing.months? (v)=>iso(v).slice(0, 7) :
+                        spacing.days? (v)=>iso(v).slice(0, 10) :
+                            (v)=>iso(v).slice(5, 16).replace('T', ' ');
+                return values.map((value)=>({value, label: label(value)}));
+            },
+            format: (value, model)=>model.step >= 1? iso(value).slice(0, 10) : iso(value).slice(0, 16).replace('T', ' ')
+        };
+    }
+}
+
+export {Scales};
@@ -0,0 +1,352 @@
+"use strict";
+
+import {DistributionModel} from "./distributionModel.js";
+import {Distribution} from "./distribution.js";
+import {Random} from "./random.js";
+
+/**
+ * A Session runs a sequence of trials on one canvas, reconfiguring its Distribution for each trial.
+ *
+ * Each trial moves through the states in Session.states:
+ * * awaiting - the Distribution is accepting input
+ * * responded - a response has been given, so the result can be shown
+ * * result - the result has been shown and input is disabled
+ * * finished - all trials are complete
+ * next() moves from result to awaiting on the next trial, or to finished after the last trial.
+ *
+ * The Session keeps a record of each trial (the Distribution's toJSON output plus the trial number, answer,
+ * question and session seed) and the cumulative and average score. See Export for saving records, and DataSink
+ * for sending them to a server as each trial completes.
+ *
+ * session.random is a seeded Random to use for question order, simulated outcomes and any other randomness,
+ * so that a session can be regenerated from its seed.
+ */
+class Session {
+    /**
+     * @constructor
+     *
+     * @param args {{}}
+     * @param args.canvas {HTMLCanvasElement} - canvas on which trials are drawn
+     * @param [args.config = {}] {{}} - Distribution constructor arguments shared by all trials. Callbacks other
+     * than onUpdate are passed on to each Distribution.
+     * @param [args.trials = []] {{}[]} - trial specifications. A trial's answer property is used as its result
+     * unless args.getAnswer is supplied. xMin, xMax, units and xScale properties (e.g. from QuestionBank.toTrials)
+     * give the trial its own axis, and a config property can override any other Distribution arguments for the
+     * trial. On a date axis the answer may be a date string (see Scales.date).
+     * Other properties (e.g. prompt) are available to callbacks.
+     * @param [args.maxTrials = trials.length] {int} - number of trials to run. Must be given if trials is empty.
+     * @param [args.getAnswer = null] {function} - called with (trialSpec, session) to supply the result of a
+     * trial when it is shown
+     * @param [args.seed = Random.newSeed()] {int|string} - seed for session.random, e.g. a participant ID or a
+     * counterbalancing condition
+     * @param [args.sink = null] {DataSink|null} - sink to which each trial record is sent when its result is shown.
+     * Anything still queued is sent again when the result animation ends.
+     *
+     * @param [args.callback = {}] {{}} - callbacks, each called with the session as the last parameter
+     * @param [args.callback.onStateChange = null] {function} - called with (state, session) on each change of state
+     * @param [args.callback.onTrialStart = null] {function} - called with (trialSpec, session) when a trial begins
+     * @param [args.callback.onUpdate = null] {function} - called with (event, session) when the response changes
+     * @param [args.callback.onResult = null] {function} - called with (record, session) when a result is shown
+     * @param [args.callback.onFinish = null] {function} - called with (session) after the last trial
+     *
+     * @return {Session}
+     */
+    constructor(args = {}) {
+        if(typeof args.canvas === "undefined" || args.canvas === null)
+            throw new Error('Session requires a canvas');
+        this.canvas = args.canvas;
+        this.config = typeof args.config === "undefined"? {} : args.config;
+        this.trials = typeof args.trials === "undefined"? [] : args.trials;
+        this.maxTrials = typeof args.maxTrials === "undefined"? this.trials.length : args.maxTrials;
+        this.getAnswer = typeof args.getAnswer === "undefined"? null : args.getAnswer;
+        this.random = new Random(args.seed);
+        this.sink = typeof args.sink === "undefined"? null : args.sink;
+        this.seed = this.random.seed;
+
+        this.callback = Session.defaultCallbacks;
+        if(typeof args.callback !== "undefined")
+            Object.keys(args.callback).forEach((k)=>this.callback[k] = args.callback[k]);
+
+        this.state = null;
+        this.trialIndex = -1;
+        this.records = [];
+        this.distribution = null;
+
+        // options left out by a trial revert to these
+        this.defaults = new DistributionModel(this.config).config;
+        if(typeof this.config.xPoints === "undefined")
+            delete this.defaults.xPoints; // recalculate from each trial's axis
+        this.defaults.units = typeof this.config.units === "undefined"? '' : this.config.units;
+
+        return this;
+    }
+
+    /**
+     * Names of the states a Session moves through
+     * @return {{awaiting: string, responded: string, result: string, finished: string}}
+     */
+    static get states() {
+        return {
+            awaiting: 'awaiting',
+            responded: 'responded',
+            result: 'result',
+            finished: 'finished'
+        };
+    }
+
+    /**
+     * Default callbacks.
+     * * onStateChange(state, session)
+     * * onTrialStart(trialSpec, session)
+     * * onUpdate(event, session)
+     * * onResult(record, session)
+     * * onFinish(session)
+     */
+    static get defaultCallbacks() {
+        return {
+            onStateChange: null,
+            onTrialStart: null,
+            onUpdate: null,
+            onResult: null,
+            onFinish: null
+        };
+    }
+
+    /**
+     * Specification of the current trial
+     * @return {{}}
+     */
+    get trial() {
+        return typeof this.trials[this.trialIndex] === "undefined"? {} : this.trials[this.trialIndex];
+    }
+
+    /**
+     * Number of the current trial, counting from 1
+     * @return {int}
+     */
+    get trialNumber() {
+        return this.trialIndex + 1;
+    }
+
+    /**
+     * Total payout over all trials with results
+     * @return {number}
+     */
+    get score() {
+        let score = 0;
+        this.records.forEach((r)=>score += r.bet.won);
+        return score;
+    }
+
+    /**
+     * Mean payout per trial with a result
+     * @return {number} 0 before any results are shown
+     */
+    get averageScore() {
+        return this.records.length? this.score / this.records.length : 0;
+    }
+
+    /**
+     * Move to a new state and notify callback.onStateChange
+     * @param state {string} one of Session.states
+     * @return {Session} self for chaining
+     */
+    setState(state) {
+        this.state = state;
+        if(typeof this.callback.onStateChange === "function")
+            this.callback.onStateChange(state, this);
+        return this;
+    }
+
+    /**
+     * Enable or disable input on the canvas
+     * @param [enable = true] {boolean}
+     * @return {Session} self for chaining
+     */
+    enableInput(enable = true) {
+        if(this.distribution !== null)
+            this.canvas.registerClickMouse(enable);
+        return this;
+    }
+
+    /**
+     * Constructor arguments for the current trial's Distribution
+     * @return {{}}
+     */
+    get distributionArgs() {
+        let callback = Object.assign({}, this.config.callback, {
+            onUpdate: (event)=>this.respond(event)
+        });
+        if(this.sink !== null) {
+            let onAnimationEnd = callback.onAnimationEnd;
+            callback.onAnimationEnd = (...args)=>{
+                this.sink.flush();
+                if(typeof onAnimationEnd === "function")
+                    onAnimationEnd(...args);
+            };
+        }
+        let args = Object.assign({}, this.config, {canvas: this.canvas, callback});
+        let trial = this.trial;
+        ['xMin', 'xMax', 'units', 'xScale'].forEach((k)=>{
+            if(typeof trial[k] !== "undefined" && trial[k] !== null)
+                args[k] = trial[k];
+        });
+        if(typeof trial.config === "object" && trial.config !== null)
+            Object.assign(args, trial.config);
+        return args;
+    }
+
+    /**
+     * Begin the first trial
+     * @return {Session} self for chaining
+     */
+    start() {
+        this.trialIndex = -1;
+        this.records = [];
+        return this.startTrial(0);
+    }
+
+    /**
+     * Set up a fresh Distribution for a trial and await a response
+     * @param trialIndex {int} index of the trial
+     * @return {Session} self for chaining
+     */
+    startTrial(trialIndex) {
+        this.trialIndex = trialIndex;
+        let args = this.distributionArgs;
+        if(this.distribution === null || this.canvas.distribution !== this.distribution)
+            this.distribution = new Distribution(args).clearCanvas().drawAxisX();
+        else
+            this.distribution.reconfigure(Object.assign({}, this.defaults, args));
+        this.enableInput(true);
+        if(typeof this.callback.onTrialStart === "function")
+            this.callback.onTrialStart(this.trial, this);
+        return this.setState(Session.states.awaiting);
+    }
+
+    /**
+     * Handle a change to the response. Called by the Distribution's onUpdate callback.
+     * @param event {Event|null} event which changed the response
+     * @return {Session} self for chaining
+     */
+    respond(event) {
+        if(this.state === Session.states.awaiting)
+            this.setState(Session.states.responded);
+        if(typeof this.callback.onUpdate === "function")
+            this.callback.onUpdate(event, this);
+        return this;
+    }
+
+    /**
+     * Disable input, show the result of the current trial and record the trial. If the Distribution cannot be
+     * serialised the record holds only the bet and the error message, so the trial is still sent and counted.
+     * @return {Session} self for chaining
+     */
+    showResult() {
+        if(this.state !== Session.states.responded)
+            throw new Error('Session cannot show a result in state ' + this.state);
+        let answer = this.getAnswer === null? this.trial.answer : this.getAnswer(this.trial, this);
+        answer = this.distribution.axisScale.parse(answer);
+        this.enableInput(false);
+        this.distribution.showResult(answer);
+
+        let record;
+        try {
+            record = this.distribution.toJSON();
+        } catch(e) {
+            // keep the bet and its payout even if the full state cannot be serialised
+            let bet = this.distribution.getBet();
+            if(bet !== null)
+                bet.won = this.distribution.bet.won;
+            record = {bet, error: e.message};
+        }
+        record.trial = this.trialNumber;
+        record.answer = answer;
+        record.question = {};
+        ['id', 'topic', 'prompt'].forEach((k)=>
+            record.question[k] = typeof this.trial[k] === "undefined"? null : this.trial[k]);
+        record.seed = this.seed;
+        this.records.push(record);
+        if(this.sink !== null)
+            this.sink.send(record);
+
+        this.setState(Session.states.result);
+        if(typeof this.callback.onResult === "function")
+            this.callback.onResult(record, this);
+        return this;
+    }
+
+    /**
+     * Move on from a shown result to the next trial, or finish after the last trial
+     * @return {Session} self for chaining
+     */
+    next() {
+        if(this.state !== Session.states.result)
+            throw new Error('Session cannot move to the next trial in state ' + this.state);
+        if(this.trialIndex + 1 >= this.maxTrials)
+            return this.finish();
+        return this.startTrial(this.trialIndex + 1);
+    }
+
+    /**
+     * End the session
+     * @return {Session} self for chaining
+     */
+    finish() {
+        this.enableInput(false);
+        this.setState(Session.states.finished);
+        if(typeof this.callback.onFinish === "function")
+            this.callback.onFinish(this);
+        return this;
+    }
+
+    /**
+     * Serialise the session's progress: state, seed and random state, trial records, and the current Distribution
+     * @return {{state: string, seed: int, randomState: int, trialIndex: int, records: {}[], current: {}|null}}
+     */
+    toJSON() {
+        return {
+            state: this.state,
+            seed: this.seed,
+            randomState: this.random.state,
+            trialIndex: this.trialIndex,
+            records: this.records,
+            current: this.distribution === null? null : this.distribution.toJSON()
+        };
+    }
+
+    /**
+     * Resume a session from the output of toJSON. A trial interrupted before its result was shown resumes
+     * with its response so far.
+     * The seed and random state are restored, so the rest of the session uses the same random sequence.
+     * @param json {{}|string} serialised session
+     * @return {Session} self for chaining
+     */
+    resume(json) {
+        if(typeof json === "string")
+            json = JSON.parse(json);
+        this.records = json.records;
+        if(typeof json.seed === "number") {
+            this.random = new Random(json.seed);
+            this.random.state = json.randomState;
+            this.seed = json.seed;
+        }
+        this.trialIndex = json.trialIndex;
+        if(json.state === null)
+            return this.start();
+        if(json.state === Session.states.finished)
+            return this.finish();
+        if(json.state === Session.states.result)
+            return this.setState(Session.states.result).next();
+
+        this.startTrial(json.trialIndex);
+        if(json.current !== null) {
+            this.distribution.restoreState(json.current);
+            if(this.distribution.getBet() !== null)
+                this.setState(Session.states.responded);
+        }
+        return this;
+    }
+}
+
+export {Session};
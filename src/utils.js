@@ -0,0 +1,48 @@
+"use strict";
+
+class utils {
+    /**
+     * Find the minimum value in arr[]
+     * @param arr {number[]}
+     * @return {number}
+     */
+    static getMin(arr) {
+        return(arr.reduce((a,b)=>Math.min(a,b)));
+    }
+
+    /**
+     * Find the maximum value in arr[]
+     * @param arr {number[]}
+     * @return {number}
+     */
+    static getMax(arr) {
+        return(arr.reduce((a,b)=>Math.max(a,b)));
+    }
+
+    /**
+     * Add val to each element of arr
+     * @param arr {number[]}
+     * @param val {number}
+     * @return {number[]}
+     */
+    static add(arr, val) {
+        let newArr = [];
+        for(let i = 0; i < arr.length; i++)
+            newArr[i] = arr[i] + val;
+        return newArr;
+    }
+
+    /**
+     * Return the sum of elements in arr
+     * @param arr {number[]}
+     * @return {number}
+     */
+    static sum(arr) {
+        let total = 0;
+        for(let i = 0; i < arr.length; i++)
+            total += arr[i];
+        return total;
+    }
+}
+
+export {utils};
@@ -0,0 +1,22 @@
+"use strict";
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {DistributionModel} from "../src/distributionModel.js";
+
+const total = (values)=>values.reduce((a, b)=>a + b, 0);
+
+test('truncated curves have the same area wherever the mean is on the axis', ()=>{
+    ['normal', 'studentT', 'skewNormal'].forEach((family)=>{
+        let model = new DistributionModel({aucMethod: 'truncated', xMin: 0, xMax: 100, family});
+        [.1, .5, .9].forEach((precision)=>{
+            let centred = total(model.adjustCurve(50, model.curve(50, precision), precision));
+            [0, 5, 95, 100].forEach((mu)=>{
+                let area = total(model.adjustCurve(mu, model.curve(mu, precision), precision));
+                assert.ok(Math.abs(area / centred - 1) < 1e-3,
+                    family + ' at precision ' + precision + ': area ' + area + ' with the mean at ' + mu +
+                    ', ' + centred + ' centred');
+            });
+        });
+    });
+});
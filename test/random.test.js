@@ -0,0 +1,39 @@
+"use strict";
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Random} from "../src/random.js";
+import {Session} from "../src/session.js";
+
+const draws = (random, n = 5)=>Array.from({length: n}, ()=>random.uniform());
+
+test('a recorded seed given back as text regenerates the sequence', ()=>{
+    ['participant-17', 42, undefined].forEach((seed)=>{
+        let first = new Random(seed);
+        let recorded = first.seed;
+        let again = new Random(String(recorded)); // e.g. from demo.html?seed=
+        assert.equal(again.seed, recorded);
+        assert.deepEqual(draws(again), draws(first));
+    });
+});
+
+test('a recorded session seed regenerates the session random numbers', ()=>{
+    let canvas = {};
+    let first = new Session({canvas, seed: 'participant-17', maxTrials: 1});
+    let again = new Session({canvas, seed: String(first.seed), maxTrials: 1});
+    assert.equal(again.seed, first.seed);
+    assert.deepEqual(draws(again.random), draws(first.random));
+});
+
+test('other strings are hashed', ()=>{
+    assert.equal(new Random('abc').seed, Random.hash('abc'));
+    assert.equal(new Random('4294967296').seed, Random.hash('4294967296'));
+    assert.equal(new Random('0042').seed, 42);
+});
+
+test('Random.from accepts a Random, a function or a seed', ()=>{
+    let random = new Random(7);
+    assert.equal(Random.from(random), random);
+    assert.deepEqual(draws(Random.from(7)), draws(new Random(7)));
+    assert.deepEqual(Random.from(()=>0).shuffle([1, 2, 3]), [2, 3, 1]);
+});